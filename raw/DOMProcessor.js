@@ -5,45 +5,728 @@
  * based on specified attribute mappings.
  *
  * Options:
- * - sourceAttributes (Array<Object>): An array of mapping objects. Each object may contain:
+ * - sourceAttributes (Array<Object>): An array of mapping objects. A source element marked with
+ *   sourceContainerAttribute="key" is copied into every element of the clone marked with
+ *   targetContainerAttribute="key". Each object may contain:
+ *    - sourceContainerAttribute (string): Attribute name marking the source element.
+ *    - targetContainerAttribute (string): Attribute name marking the target element.
+ *    - type (string): How the value is written to the target (default: "text"):
+ *       "text" (textContent), "html" (innerHTML, e.g. rich text with its markup), "attribute" (e.g. href,
+ *       srcset, sizes, alt, data-*, aria-label), "property" (a DOM property such as src), "style" (a CSS
+ *       property, e.g. a custom property "--accent") or "background" (background-image URL).
+ *    - from (string): What is read from the source element: "text", "html", "background" (the URL of its
+ *      inline background-image) or the name of one of its attributes. Defaults to "text" for text and
+ *      style, "html" for html, "src" for background and to `to` otherwise.
+ *    - to (string): Target attribute, property or CSS property name (default: same as from).
+ *   A missing source attribute removes the target attribute, so template placeholders (e.g. a srcset) are
+ *   not kept. The short forms for text and images are still supported:
  *    - sourceContainerAttributeTxt (string): Attribute name for source text content.
  *    - targetContainerAttributeTxt (string): Attribute name for target text element.
  *    - sourceContainerAttributeImg (string): Attribute name for source image URL.
  *    - targetContainerAttributeImg (string): Attribute name for target image element.
  * - sourceParentAttribute (Array<string>): An array of attribute names used to select source parent elements.
+ *   Their .w-dyn-item children are the items.
+ * - data (Array<Object>): Items given as JSON instead of (or in addition to) a collection list.
+ * - dataScript (string): Selector of a <script type="application/json"> element with the items.
+ * - dataUrl (string): URL of a JSON file with the items. Processing starts once the file is loaded.
+ * - dataPath (string): Dot path to the item array inside the JSON, e.g. "data.posts" (optional).
+ *   For JSON items the value of targetContainerAttribute is a dot path into the item (e.g.
+ *   target-txt-1="author.name"); sourceContainerAttribute can be left out. Plain values are used as they
+ *   are for every `from`, so give attribute mappings their own target attribute (e.g. target-href="url").
+ *   Objects are read like source elements: { "link": { "href": "/a", "text": "Read" } } works with
+ *   from: "href" and from: "text".
  * - targetParentAttribute (Array<string>): An array of attribute names identifying template (target) parent elements.
  * - orderTargetParent (Array<string>|string): Either an array or a comma-separated string defining the order of cloned elements.
- * - targetParentVisible (string): "true" or "false". If "false", source and target elements are removed.
+ * - targetParentVisible (string|boolean): "true" or "false". If "false", source and target elements are removed.
+ * - templateRules (Array<Object>): Chooses another template per CMS item, e.g. for featured or video items
+ *   in a mixed grid. Additional templates are marked with a name instead of "1" (e.g.
+ *   target-parent-1="featured"). The first matching rule wins; items without a match use the "1" template.
+ *   All conditions given in a rule have to match:
+ *    - template (string): Name of the template.
+ *    - sourceAttribute (string): The item or one of its elements carries this attribute (for JSON items: the
+ *      field path is set).
+ *    - value (string): ...with this value (or text, if the attribute is empty), e.g. a CMS field "type".
+ *    - nth (number|string): Position of the item in the rendered list (after sorting and limiting) like CSS
+ *      :nth-child, e.g. 1, "odd", "5n" or "4n+1".
+ *    - match (Function): Called with (item, index), returns true for a match. item is the .w-dyn-item or
+ *      the JSON object.
+ * - sortBy (string|Object|Array<Object>): Sorts the items by a mapped field, i.e. the key of a source element
+ *   such as "date" for source-txt-1="date". Objects may contain field, type ("string", "number" or "date",
+ *   default: "string"), order ("asc" or "desc", default: "asc") and from (see sourceAttributes, default:
+ *   "text"). Further entries break ties. Items without a value are sorted last.
+ * - groupBy (string|Object): Groups the items by a mapped field and inserts a header before each group.
+ *   Objects may contain field, format ("value", "month" or "year" for date fields, default: "value"),
+ *   locale, from, template (name of the header template, default: "group", e.g. target-parent-1="group") and
+ *   labelAttribute (elements of the header that receive the label, default: "group-label"). Without a
+ *   header template a <div class="wf-group-header"> is inserted.
+ * - nested (Array<Object>): Repeatable regions for nested collection lists (multi-reference fields) or nested
+ *   JSON arrays, e.g. tag chips or speaker lists. The element of the template marked with
+ *   targetContainerAttribute="key" is repeated once per nested item and filled like a clone. Each object
+ *   may contain:
+ *    - sourceContainerAttribute (string): Marks the nested collection list of a source item
+ *      (sourceContainerAttribute="key"); its .w-dyn-item children are the nested items. For JSON items the
+ *      key is the path to the nested array; plain values in it are available as the field "value".
+ *    - targetContainerAttribute (string): Marks the repeatable region of the template.
+ *    - sourceAttributes (Array<Object>): Mappings for the nested items (default: those of the configuration).
+ *    - conditions (Array<Object>): Conditions evaluated per nested item (see conditions).
+ *    - nested (Array<Object>): Regions nested inside this one, to any depth.
+ * - emptyFields (string): What happens to targets whose field is empty: "keep" the template content,
+ *   "clear" it or "remove" the target element (default: "keep"). A field is empty if the item has no
+ *   source element for it (or Webflow marked it with w-dyn-bind-empty) or no value in the JSON item.
+ * - conditions (Array<Object>): Visibility rules evaluated for every clone, replacing Webflow's conditional
+ *   visibility which does not survive cloning. All tests given in a rule have to match:
+ *    - field (string): The mapped field to test.
+ *    - empty (boolean): The field is empty (true) or filled (false).
+ *    - equals (string): The text of the field equals this value.
+ *    - matches (string|RegExp): The text of the field matches this pattern.
+ *    - from (string): What is read from the source element for equals/matches (default: "text").
+ *    - selector (string): Elements of the clone the rule applies to (default: the clone itself).
+ *    - action (string): "hide" on a match, "show" only on a match, "remove" on a match, "addClass" or
+ *      "removeClass" (with className) on a match (default: "hide").
+ * - removeEmptyImages (boolean): Removes images of the clones whose src is empty (default: false).
+ * - keepSources (boolean): Hides the source lists instead of removing them, so their content stays in the
+ *   page (e.g. for SEO) and other scripts can still change them before render() (default: false).
+ * - locale (string): Locale for the date, number, currency and case formatters (default: browser locale).
+ * - formatters (Object): Additional formatters for this instance, { name: (value, args, { locale, item }) => ... }.
+ * - loadAllPages (boolean): Follows the pagination links (.w-pagination-next) of the source lists, fetches
+ *   the following pages and adds their items, so lists beyond Webflow's 100 items per page are rendered
+ *   completely. The clones are rendered again after every page; the pagination controls are hidden
+ *   (default: false).
+ * - maxPages (number): Maximum number of pages per list with loadAllPages, including the first (default: 100).
+ * - filter (Function): Called with (item, index) for every .w-dyn-item or JSON object; items for which it
+ *   returns false are not rendered.
+ * - offset (number): Number of (sorted) items to skip (default: 0).
+ * - limit (number): Maximum number of items to render (default: all). With offset and limit several
+ *   configurations can render parts of the same CMS list, e.g. the first three items as a hero section.
+ * - enabled (boolean): If false, the configuration is not processed (default: true).
+ *
+ * Templates may contain tokens in their text and attributes, e.g. "By {{author}} · {{date | date:'DD.MM.YYYY'}}"
+ * or href="/team/{{name | slugify}}". A token names a mapped field (like sortBy) and is filled per item,
+ * optionally passed through formatters:
+ * - date:'DD.MM.YYYY': Pattern with YYYY, YY, MMMM, MMM, MM, M, DD, D, HH, H and mm (default: locale date).
+ * - number:2, currency:'EUR': Locale-aware numbers with optional decimals and currencies.
+ * - uppercase, lowercase, slugify
+ * - truncate:80:'…': Shortens the text and appends the ellipsis.
+ * - default:'n/a': Fallback for empty values.
+ * Custom formatters are added with DOMProcessor.registerFormatter(name, formatter) or the formatters option.
+ *
+ * Every option also accepts a breakpoint map (see core/breakpoints.js), e.g.
+ * orderTargetParent: { desktop: '1, 2, 3', mobilePortrait: '3, 2, 1' }. The DOM is restored and processed
+ * again when the breakpoint changes the options.
+ *
+ * Lifecycle:
+ * - destroy(): Removes all clones and puts the removed template and source elements back in place.
+ * - refresh(): Restores the original DOM and processes all configurations again.
+ * - render(): Removes all clones and builds them again from the current sources, e.g. after a script added
+ *   items to a kept source list.
+ * - rerender(overrides): Renders again with changed options (for all configurations or one object per
+ *   configuration), e.g. rerender({ sortBy: { field: 'price', type: 'number' } }).
+ * - getSource(clone) / getClones(source): The item a clone was rendered from and the clones of an item.
+ * - pause() / resume(): Defers processing (initial or via refresh) until resume() is called.
+ *
+ * Events (published as "domprocessor:<event>" on the WFLib event bus):
+ * - render: All configurations were processed, after JSON files were loaded ({ clones }).
+ * - page: Another page of a paginated source list was added and rendered ({ page, url, items }).
+ * - complete: All pages of a source list were loaded ({ pages }, plus error if loading stopped early).
+ * - pause, resume, refresh, destroy
  *
  * Example instantiation (asynchron sicher über CDN):
  * window.addEventListener('DOMContentLoaded', () => {
  *   const domProcessor = new DOMProcessor({
  *     sourceAttributes: [
  *       { sourceContainerAttributeTxt: 'source-txt-1', targetContainerAttributeTxt: 'target-txt-1' },
- *       { sourceContainerAttributeImg: 'source-img-1', targetContainerAttributeImg: 'target-img-1' }
+ *       { sourceContainerAttributeImg: 'source-img-1', targetContainerAttributeImg: 'target-img-1' },
+ *       { sourceContainerAttribute: 'source-link', targetContainerAttribute: 'target-link', type: 'attribute', from: 'href' },
+ *       { sourceContainerAttribute: 'source-img-1', targetContainerAttribute: 'target-img-1', type: 'attribute', from: 'srcset' },
+ *       { sourceContainerAttribute: 'source-rich', targetContainerAttribute: 'target-rich', type: 'html' },
+ *       { sourceContainerAttribute: 'source-color', targetContainerAttribute: 'target-card', type: 'style', to: '--accent' }
  *     ],
  *     sourceParentAttribute: ['source-parent-1'],
  *     targetParentAttribute: ['target-parent-1'],
  *     orderTargetParent: '1, 2, 3',
- *     targetParentVisible: 'true'
+ *     targetParentVisible: 'true',
+ *     templateRules: [
+ *       { template: 'featured', sourceAttribute: 'source-type', value: 'featured' },
+ *       { template: 'wide', nth: '5n' }
+ *     ]
  *   });
  * });
  *
  * @version 1.1.0
  * @license MIT
  */
+import * as eventBus from './core/eventBus.js';
+import { register } from './core/registry.js';
+import { validate, reportDiagnostic } from './core/validator.js';
+import { resolveOptions, watchBreakpoints, isEnabled } from './core/breakpoints.js';
+
+const MAPPING_TYPES = ['text', 'html', 'attribute', 'property', 'style', 'background'];
+const DEFAULT_SOURCES = { text: 'text', html: 'html', style: 'text', background: 'src' };
+const TOKEN_PATTERN = /\{\{\s*(.+?)\s*\}\}/g;
+
+function parseDate(value) {
+  const isoDate = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  // Date-only ISO strings are parsed as UTC by Date.parse, which shifts the day west of Greenwich.
+  if (isoDate) return new Date(isoDate[1], isoDate[2] - 1, isoDate[3]);
+  const time = Date.parse(value);
+  return isNaN(time) ? null : new Date(time);
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+const formatters = {
+  date: (value, [pattern], { locale }) => {
+    const date = isEmpty(value) ? null : parseDate(value);
+    if (!date) return value;
+    if (!pattern) return date.toLocaleDateString(locale);
+    const pad = number => String(number).padStart(2, '0');
+    const parts = {
+      YYYY: String(date.getFullYear()),
+      YY: String(date.getFullYear()).slice(-2),
+      MMMM: date.toLocaleDateString(locale, { month: 'long' }),
+      MMM: date.toLocaleDateString(locale, { month: 'short' }),
+      MM: pad(date.getMonth() + 1),
+      M: String(date.getMonth() + 1),
+      DD: pad(date.getDate()),
+      D: String(date.getDate()),
+      HH: pad(date.getHours()),
+      H: String(date.getHours()),
+      mm: pad(date.getMinutes())
+    };
+    return pattern.replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|mm/g, token => parts[token]);
+  },
+  number: (value, [decimals], { locale }) => {
+    const number = parseFloat(value);
+    if (isNaN(number)) return value;
+    const digits = decimals === undefined ? {} : { minimumFractionDigits: Number(decimals), maximumFractionDigits: Number(decimals) };
+    return new Intl.NumberFormat(locale, digits).format(number);
+  },
+  currency: (value, [currency = 'EUR'], { locale }) => {
+    const number = parseFloat(value);
+    return isNaN(number) ? value : new Intl.NumberFormat(locale, { style: 'currency', currency }).format(number);
+  },
+  uppercase: (value, args, { locale }) => String(value).toLocaleUpperCase(locale),
+  lowercase: (value, args, { locale }) => String(value).toLocaleLowerCase(locale),
+  truncate: (value, [length = 100, ellipsis = '…']) => {
+    const text = String(value);
+    return text.length > Number(length) ? `${text.slice(0, Number(length)).trimEnd()}${ellipsis}` : text;
+  },
+  default: (value, [fallback = '']) => (isEmpty(value) ? fallback : value),
+  slugify: value => String(value)
+    .toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+};
+
+// Splits "date:'HH:mm' | default:'-'" at separators that are not inside quotes.
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+      current += char;
+    } else if (char === separator) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+function unquote(text) {
+  return /^(['"]).*\1$/.test(text) ? text.slice(1, -1) : text;
+}
+
+// Turns the short forms and the generic form of sourceAttributes into { source, target, type, from, to }.
+function normalizeMappings(sourceAttributes) {
+  return sourceAttributes.flatMap(attr => {
+    const mappings = [];
+    if (attr.sourceContainerAttributeTxt) {
+      mappings.push({ source: attr.sourceContainerAttributeTxt, target: attr.targetContainerAttributeTxt, type: 'text', from: 'text' });
+    }
+    if (attr.sourceContainerAttributeImg) {
+      mappings.push({ source: attr.sourceContainerAttributeImg, target: attr.targetContainerAttributeImg, type: 'property', from: 'src', to: 'src' });
+    }
+    if (attr.sourceContainerAttribute || attr.targetContainerAttribute) {
+      const type = attr.type || 'text';
+      const from = attr.from || DEFAULT_SOURCES[type] || attr.to;
+      mappings.push({ source: attr.sourceContainerAttribute, target: attr.targetContainerAttribute, type, from, to: attr.to || from });
+    }
+    return mappings.filter(mapping => mapping.target && MAPPING_TYPES.includes(mapping.type));
+  });
+}
+
+// Whether a position (1-based) matches a CSS-like nth expression: 3, "odd", "even", "5n", "4n+1", "-n+3".
+function matchesNth(nth, position) {
+  const expression = String(nth).replace(/\s+/g, '').toLowerCase();
+  if (expression === 'odd') return position % 2 === 1;
+  if (expression === 'even') return position % 2 === 0;
+  const match = /^([+-]?\d*)n([+-]\d+)?$/.exec(expression);
+  if (!match) return position === parseInt(expression, 10);
+  const step = match[1] === '' || match[1] === '+' ? 1 : match[1] === '-' ? -1 : parseInt(match[1], 10);
+  const offset = match[2] ? parseInt(match[2], 10) : 0;
+  if (step === 0) return position === offset;
+  const n = (position - offset) / step;
+  return Number.isInteger(n) && n >= 0;
+}
+
+// Elements of a collection item, without those of its nested collection items.
+function queryOwn(item, selector) {
+  return Array.from(item.querySelectorAll(selector)).filter(element => element.closest('.w-dyn-item') === item);
+}
+
+function getChildSelectors(mappings) {
+  return Array.from(new Set(mappings.filter(mapping => mapping.source).map(mapping => `[${mapping.source}]`))).join(', ');
+}
+
+// Reads a dot path such as "author.name" or "tags.0" from a data item.
+function getPath(data, path) {
+  return String(path).split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+}
+
+// Reads a field of a data item. Objects are read like elements, e.g. { href, text } with from: 'href'.
+function readDataValue(data, field, from) {
+  let value = getPath(data, field);
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    value = value[from];
+  }
+  if (value === undefined || value === null) return value;
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+// All conditions given in a rule have to match the item. For data items sourceAttribute is a field path.
+function matchesTemplateRule(rule, item, index) {
+  const { sourceAttribute, value, nth, match } = rule;
+  if (sourceAttribute === undefined && nth === undefined && typeof match !== 'function') return false;
+  if (sourceAttribute !== undefined && item.element) {
+    const element = item.element.hasAttribute(sourceAttribute) ? item.element : queryOwn(item.element, `[${sourceAttribute}]`)[0];
+    if (!element) return false;
+    if (value !== undefined) {
+      const actual = element.getAttribute(sourceAttribute) || element.textContent;
+      if (actual.trim() !== String(value)) return false;
+    }
+  } else if (sourceAttribute !== undefined) {
+    const actual = readDataValue(item.data, sourceAttribute, 'text');
+    if (actual === undefined || actual === null) return false;
+    if (value !== undefined && actual.trim() !== String(value)) return false;
+  }
+  if (nth !== undefined && !matchesNth(nth, index + 1)) return false;
+  if (typeof match === 'function' && !match(item.element || item.data, index)) return false;
+  return true;
+}
+
+function parseSortValue(value, type) {
+  if (value === null || String(value).trim() === '') return null;
+  if (type === 'number') {
+    const number = parseFloat(String(value).replace(/[^\d.-]/g, ''));
+    return isNaN(number) ? null : number;
+  }
+  if (type === 'date') {
+    const time = Date.parse(value);
+    return isNaN(time) ? null : time;
+  }
+  return String(value).trim();
+}
+
+// Empty values are always sorted last.
+function compareSortValues(a, b, order = 'asc') {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  const result = typeof a === 'string'
+    ? a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' })
+    : a - b;
+  return order === 'desc' ? -result : result;
+}
+
+function formatGroupLabel(value, format, locale) {
+  const text = value === null ? '' : String(value).trim();
+  if (format !== 'month' && format !== 'year') return text;
+  const time = Date.parse(text);
+  if (isNaN(time)) return text;
+  const date = new Date(time);
+  return format === 'year'
+    ? String(date.getFullYear())
+    : date.toLocaleDateString(locale, { month: 'long', year: 'numeric' });
+}
+
+function checkTemplateRules(rules) {
+  for (let index = 0; index < rules.length; index++) {
+    const rule = rules[index];
+    if (!rule || !rule.template) {
+      return `entry ${index} has no template.`;
+    }
+    if (rule.sourceAttribute === undefined && rule.nth === undefined && typeof rule.match !== 'function') {
+      return `entry ${index} needs sourceAttribute, nth or match.`;
+    }
+  }
+  return null;
+}
+
+const CONDITION_ACTIONS = ['hide', 'show', 'remove', 'addClass', 'removeClass'];
+
+function checkConditions(conditions) {
+  for (let index = 0; index < conditions.length; index++) {
+    const condition = conditions[index];
+    if (!condition || !condition.field) {
+      return `entry ${index} has no field.`;
+    }
+    if (condition.action !== undefined && !CONDITION_ACTIONS.includes(condition.action)) {
+      return `entry ${index} has an unknown action "${condition.action}" (expected one of ${CONDITION_ACTIONS.join(', ')}).`;
+    }
+    if (['addClass', 'removeClass'].includes(condition.action) && !condition.className) {
+      return `entry ${index} needs a className for action "${condition.action}".`;
+    }
+    if (typeof condition.matches === 'string') {
+      try {
+        new RegExp(condition.matches);
+      } catch (error) {
+        return `entry ${index} has an invalid pattern: ${error.message}`;
+      }
+    }
+  }
+  return null;
+}
+
+function checkNested(nested) {
+  for (let index = 0; index < nested.length; index++) {
+    const declaration = nested[index];
+    if (!declaration || !declaration.targetContainerAttribute) {
+      return `entry ${index} has no targetContainerAttribute.`;
+    }
+    const message = Array.isArray(declaration.nested) ? checkNested(declaration.nested) : null;
+    if (message) {
+      return `entry ${index}: ${message}`;
+    }
+  }
+  return null;
+}
+
+function checkMappings(sourceAttributes) {
+  for (let index = 0; index < sourceAttributes.length; index++) {
+    const attr = sourceAttributes[index];
+    if (!attr || (!attr.sourceContainerAttribute && !attr.targetContainerAttribute)) continue;
+    if (!attr.targetContainerAttribute) {
+      return `entry ${index} has no targetContainerAttribute.`;
+    }
+    if (attr.type !== undefined && !MAPPING_TYPES.includes(attr.type)) {
+      return `entry ${index} has an unknown type "${attr.type}" (expected one of ${MAPPING_TYPES.join(', ')}).`;
+    }
+    if (['attribute', 'property'].includes(attr.type) && !attr.from && !attr.to) {
+      return `entry ${index} needs "from" or "to" for type "${attr.type}".`;
+    }
+    if (attr.type === 'style' && !attr.to) {
+      return `entry ${index} needs "to" (the CSS property) for type "style".`;
+    }
+  }
+  return null;
+}
+
 class DOMProcessor {
   constructor(...configs) {
-    this.configs = configs;
+    configs.forEach((config, index) => validate('DOMProcessor', config, DOMProcessor.schema, `configs[${index}]`));
+    this.baseConfigs = resolveOptions(configs);
+    this.overrides = configs.map(() => ({}));
+    this.configs = this.baseConfigs;
+    this.unwatchBreakpoints = watchBreakpoints(configs, resolved => this.applyBreakpoint(resolved));
+    this.clones = [];
+    this.cloneSources = new Map();
+    this.removedNodes = [];
+    this.hiddenStyles = new Map();
+    this.sourceParents = new Map();
+    this.headerTemplates = new Set();
+    this.loadedData = new Map();
+    this.pendingLoad = null;
+    this.pagination = new Map();
+    this.pendingPages = [];
+    this.fetchedItems = [];
+    this.pageController = typeof AbortController === 'undefined' ? null : new AbortController();
+    this.unknownFormatters = new Set();
+    this.isPaused = false;
+    this.hasPendingInit = false;
+    this.init = this.init.bind(this);
     if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => this.init());
+      document.addEventListener('DOMContentLoaded', this.init);
     } else {
       this.init();
     }
   }
   
   init() {
-    this.configs.forEach(config => this.processConfig(config));
+    if (this.isPaused) {
+      this.hasPendingInit = true;
+      return;
+    }
+    const unloaded = this.configs.filter(config => isEnabled(config) && config.dataUrl && !this.loadedData.has(config.dataUrl));
+    if (unloaded.length > 0) {
+      this.loadData(unloaded);
+      return;
+    }
+    // Source lists are removed after all configurations ran, so several configurations can share one list.
+    this.sourceParents = new Map();
+    this.headerTemplates = new Set();
+    this.configs.filter(isEnabled).forEach(config => this.processConfig(config));
+    this.headerTemplates.forEach(headerTemplate => this.removeNode(headerTemplate));
+    this.sourceParents.forEach((keep, sourceParent) => {
+      if (keep) {
+        this.hideNode(sourceParent);
+      } else {
+        this.removeNode(sourceParent);
+      }
+    });
+    this.pendingPages.splice(0).forEach(page => this.loadPages(page));
+    this.emit('render', { clones: this.clones.slice() });
+  }
+  
+  // Processing starts once all JSON files are loaded; files are only loaded once per instance.
+  loadData(configs) {
+    const urls = new Map();
+    configs.forEach(config => {
+      if (!urls.has(config.dataUrl)) {
+        urls.set(config.dataUrl, `configs[${this.configs.indexOf(config)}].dataUrl`);
+      }
+    });
+    const load = Promise.all(Array.from(urls, ([url, path]) => fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(json => this.loadedData.set(url, json))
+      .catch(error => {
+        reportDiagnostic('DOMProcessor', 'error', path, `Could not load ${url}: ${error.message}`);
+        this.loadedData.set(url, null);
+      })));
+    this.pendingLoad = load;
+    load.then(() => {
+      if (this.pendingLoad !== load) return;
+      this.pendingLoad = null;
+      this.init();
+    });
+  }
+  
+  getData(config, path) {
+    const { data = null, dataScript = null, dataUrl = null, dataPath = null } = config;
+    const sources = [];
+    if (data !== null) {
+      sources.push({ json: data, option: 'data' });
+    }
+    if (dataScript) {
+      const script = document.querySelector(dataScript);
+      if (!script) {
+        reportDiagnostic('DOMProcessor', 'error', `${path}.dataScript`, `Data script "${dataScript}" not found.`);
+      } else {
+        try {
+          sources.push({ json: JSON.parse(script.textContent), option: 'dataScript' });
+        } catch (error) {
+          reportDiagnostic('DOMProcessor', 'error', `${path}.dataScript`, `Invalid JSON in "${dataScript}": ${error.message}`);
+        }
+      }
+    }
+    if (dataUrl && this.loadedData.get(dataUrl)) {
+      sources.push({ json: this.loadedData.get(dataUrl), option: 'dataUrl' });
+    }
+    return sources.flatMap(({ json, option }) => {
+      const list = dataPath ? getPath(json, dataPath) : json;
+      if (!Array.isArray(list)) {
+        reportDiagnostic('DOMProcessor', 'error', `${path}.${dataPath ? 'dataPath' : option}`, dataPath ? `No array of items found at "${dataPath}".` : 'Expected an array of items.');
+        return [];
+      }
+      return list.filter(entry => entry && typeof entry === 'object');
+    });
+  }
+  
+  // The pagination link is read while the source list is still in the page; its controls are hidden.
+  preparePagination(sourceParent, selector, index, config, path) {
+    const list = sourceParent.closest('.w-dyn-list') || sourceParent;
+    const next = list.querySelector('.w-pagination-next');
+    if (!next) return;
+    this.hideNode(next.closest('.w-pagination-wrapper') || next);
+    if (this.pagination.has(sourceParent) || !next.getAttribute('href')) return;
+    this.pagination.set(sourceParent, { page: 1 });
+    this.pendingPages.push({
+      sourceParent,
+      selector,
+      index,
+      url: new URL(next.getAttribute('href'), window.location.href).href,
+      maxPages: config.maxPages || 100,
+      path
+    });
+  }
+  
+  // Fetches the following pages one after another and renders again after each page.
+  loadPages({ sourceParent, selector, index, url, maxPages, path }) {
+    const state = this.pagination.get(sourceParent);
+    const container = sourceParent.matches('.w-dyn-items') ? sourceParent : sourceParent.querySelector('.w-dyn-items') || sourceParent;
+    const signal = this.pageController ? this.pageController.signal : undefined;
+    const loadPage = pageUrl => fetch(pageUrl, { signal })
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+      })
+      .then(html => {
+        const page = new DOMParser().parseFromString(html, 'text/html');
+        const pageSource = page.querySelectorAll(selector)[index];
+        if (!pageSource) throw new Error(`${selector} not found`);
+        const items = Array.from(pageSource.querySelectorAll('.w-dyn-item')).filter(item => {
+          const outerItem = item.parentElement.closest('.w-dyn-item');
+          return !outerItem || !pageSource.contains(outerItem);
+        });
+        items.forEach(item => {
+          const imported = document.importNode(item, true);
+          container.appendChild(imported);
+          this.fetchedItems.push(imported);
+        });
+        state.page++;
+        this.render();
+        this.emit('page', { page: state.page, url: pageUrl, items: items.length });
+        const next = (pageSource.closest('.w-dyn-list') || pageSource).querySelector('.w-pagination-next');
+        if (next && next.getAttribute('href') && state.page < maxPages) {
+          return loadPage(new URL(next.getAttribute('href'), pageUrl).href);
+        }
+        this.emit('complete', { pages: state.page });
+        return null;
+      });
+    loadPage(url).catch(error => {
+      if (error.name === 'AbortError') return;
+      reportDiagnostic('DOMProcessor', 'error', `${path}.loadAllPages`, `Could not load page ${state.page + 1}: ${error.message}`);
+      this.emit('complete', { pages: state.page, error });
+    });
+  }
+  
+  emit(type, detail = {}) {
+    eventBus.emit(`domprocessor:${type}`, { instance: this, ...detail });
+  }
+  
+  applyBreakpoint(configs) {
+    this.baseConfigs = configs;
+    this.configs = configs.map((config, index) => ({ ...config, ...this.overrides[index] }));
+    if (document.readyState === 'loading') return;
+    this.refresh();
+  }
+  
+  /**
+   * Removes all clones and builds them again from the current sources and options.
+   */
+  render() {
+    this.restore();
+    this.init();
+  }
+  
+  /**
+   * Renders again with changed options, e.g. another sortBy, filter or limit. The changes are kept for
+   * later renders and breakpoint changes.
+   * @param {Object|Array<Object>} overrides - Options for all configurations, or one object per configuration.
+   */
+  rerender(overrides = null) {
+    if (overrides) {
+      const list = Array.isArray(overrides) ? overrides : this.baseConfigs.map(() => overrides);
+      list.forEach((override, index) => {
+        if (!override || index >= this.overrides.length) return;
+        validate('DOMProcessor', override, DOMProcessor.schema, `rerender[${index}]`);
+        this.overrides[index] = { ...this.overrides[index], ...resolveOptions(override) };
+      });
+      this.configs = this.baseConfigs.map((config, index) => ({ ...config, ...this.overrides[index] }));
+    }
+    this.render();
+  }
+  
+  /**
+   * Returns the item a clone was rendered from.
+   * @param {HTMLElement} clone - A rendered clone.
+   * @returns {HTMLElement|Object|null} The .w-dyn-item or JSON object.
+   */
+  getSource(clone) {
+    return this.cloneSources.has(clone) ? this.cloneSources.get(clone) : null;
+  }
+  
+  /**
+   * Returns the clones rendered from an item (one per configuration that renders it).
+   * @param {HTMLElement|Object} source - A .w-dyn-item or JSON object.
+   * @returns {Array<HTMLElement>} The clones.
+   */
+  getClones(source) {
+    return Array.from(this.cloneSources).filter(([, item]) => item === source).map(([clone]) => clone);
+  }
+  
+  refresh() {
+    this.render();
+    this.emit('refresh');
+  }
+  
+  pause() {
+    this.isPaused = true;
+    this.emit('pause');
+  }
+  
+  resume() {
+    if (!this.isPaused) return;
+    this.isPaused = false;
+    this.emit('resume');
+    if (this.hasPendingInit) {
+      this.hasPendingInit = false;
+      this.init();
+    }
+  }
+  
+  destroy() {
+    document.removeEventListener('DOMContentLoaded', this.init);
+    this.unwatchBreakpoints();
+    this.hasPendingInit = false;
+    this.pendingLoad = null;
+    if (this.pageController) {
+      this.pageController.abort();
+    }
+    this.restore();
+    this.fetchedItems.forEach(item => item.remove());
+    this.fetchedItems = [];
+    this.emit('destroy');
+  }
+  
+  restore() {
+    this.removedNodes.reverse().forEach(({ node, parent, nextSibling }) => {
+      if (nextSibling && nextSibling.parentNode === parent) {
+        parent.insertBefore(node, nextSibling);
+      } else {
+        parent.appendChild(node);
+      }
+    });
+    this.removedNodes = [];
+    this.hiddenStyles.forEach((style, element) => {
+      if (style === null) {
+        element.removeAttribute('style');
+      } else {
+        element.setAttribute('style', style);
+      }
+    });
+    this.hiddenStyles.clear();
+    this.clones.forEach(clone => clone.remove());
+    this.clones = [];
+    this.cloneSources.clear();
+  }
+  
+  hideNode(node) {
+    if (!this.hiddenStyles.has(node)) {
+      this.hiddenStyles.set(node, node.getAttribute('style'));
+    }
+    node.style.display = 'none';
+  }
+  
+  removeNode(node) {
+    if (!node.parentNode) return;
+    this.removedNodes.push({ node, parent: node.parentNode, nextSibling: node.nextSibling });
+    node.parentNode.removeChild(node);
   }
   
   processConfig(config) {
@@ -52,16 +735,26 @@ class DOMProcessor {
       sourceParentAttribute = [],
       targetParentAttribute = [],
       orderTargetParent = [],
-      targetParentVisible = 'true'
+      targetParentVisible = 'true',
+      templateRules = [],
+      sortBy = null,
+      groupBy = null,
+      offset = 0,
+      limit = null,
+      keepSources = false,
+      filter = null,
+      nested = [],
+      loadAllPages = false
     } = config;
+    const path = `configs[${this.configs.indexOf(config)}]`;
   
-    if (targetParentVisible === 'false') {
+    if (String(targetParentVisible) === 'false') {
       this.removeElements(config);
       return;
     }
   
     if (targetParentAttribute.length === 0) {
-      console.error('No targetParentAttribute specified in configuration:', config);
+      reportDiagnostic('DOMProcessor', 'error', `${path}.targetParentAttribute`, 'No targetParentAttribute specified.');
       return;
     }
   
@@ -69,10 +762,20 @@ class DOMProcessor {
     const templateAttrValue = '1';
     const template = document.querySelector(`[${templateAttrName}="${templateAttrValue}"]`);
     if (!template) {
-      console.error(`Template with ${templateAttrName}="${templateAttrValue}" not found.`);
+      reportDiagnostic('DOMProcessor', 'error', `${path}.targetParentAttribute`, `Template with ${templateAttrName}="${templateAttrValue}" not found.`);
       return;
     }
-    template.style.display = 'none';
+    const templates = new Map([[templateAttrValue, template]]);
+    templateRules.forEach((rule, index) => {
+      if (!rule || !rule.template || templates.has(rule.template)) return;
+      const namedTemplate = document.querySelector(`[${templateAttrName}="${rule.template}"]`);
+      if (namedTemplate) {
+        templates.set(rule.template, namedTemplate);
+      } else {
+        reportDiagnostic('DOMProcessor', 'warning', `${path}.templateRules[${index}].template`, `Template with ${templateAttrName}="${rule.template}" not found, the default template is used.`);
+      }
+    });
+    templates.forEach(element => this.hideNode(element));
   
     let orderIndex = 0;
     const parsedOrderTargetParent = [];
@@ -89,108 +792,449 @@ class DOMProcessor {
       });
     }
   
-    const allSourceParents = [];
+    const mappings = normalizeMappings(sourceAttributes);
+    const childSelectors = getChildSelectors(mappings);
+    if (mappings.length === 0) {
+      reportDiagnostic('DOMProcessor', 'error', `${path}.sourceAttributes`, 'No source attributes specified.');
+    }
+  
+    let items = [];
     sourceParentAttribute.forEach(sourceParentAttr => {
       const sourceParents = document.querySelectorAll(`[${sourceParentAttr}]`);
-      sourceParents.forEach(sourceParent => {
-        allSourceParents.push(sourceParent);
+      sourceParents.forEach((sourceParent, index) => {
+        this.sourceParents.set(sourceParent, this.sourceParents.get(sourceParent) || keepSources);
+        if (loadAllPages) {
+          this.preparePagination(sourceParent, `[${sourceParentAttr}]`, index, config, path);
+        }
+        if (!childSelectors) return;
         const sourceGroups = sourceParent.querySelectorAll('.w-dyn-item');
         sourceGroups.forEach(sourceGroup => {
-          const childSelectors = sourceAttributes
-            .map(attr => {
-              let selectors = [];
-              if (attr.sourceContainerAttributeTxt) {
-                selectors.push(`[${attr.sourceContainerAttributeTxt}]`);
-              }
-              if (attr.sourceContainerAttributeImg) {
-                selectors.push(`[${attr.sourceContainerAttributeImg}]`);
-              }
-              return selectors.join(', ');
-            })
-            .filter(selector => selector)
-            .join(', ');
-  
-          const child3Elements = sourceGroup.querySelectorAll(childSelectors);
+          const outerGroup = sourceGroup.parentElement.closest('.w-dyn-item');
+          if (outerGroup && sourceParent.contains(outerGroup)) return;
+          const child3Elements = queryOwn(sourceGroup, childSelectors);
           if (child3Elements.length === 0) return;
+          items.push({ element: sourceGroup, child3Elements });
+        });
+      });
+    });
+    if (mappings.length > 0) {
+      this.getData(config, path).forEach(data => items.push({ data }));
+    }
+    if (typeof filter === 'function') {
+      items = items.filter((item, index) => filter(item.element || item.data, index));
+    }
   
-          const clonedTargetParent = template.cloneNode(true);
-          clonedTargetParent.style.display = '';
-          clonedTargetParent.id = '';
-          const newTargetParentValue = orderIndex + 1;
-          clonedTargetParent.setAttribute(templateAttrName, newTargetParentValue);
-          template.parentNode.appendChild(clonedTargetParent);
-  
-          let order = parsedOrderTargetParent[orderIndex];
-          if (order !== undefined) {
-            order = parseInt(order, 10);
-            if (!isNaN(order)) {
-              clonedTargetParent.style.order = order;
-            } else {
-              console.warn(`Invalid order value at position ${orderIndex}:`, order);
-            }
+    if (sortBy) {
+      items = this.sortItems(items, sortBy, mappings);
+    }
+    items = items.slice(offset, limit === null ? undefined : offset + limit);
+    const groups = groupBy ? this.groupItems(items, groupBy, mappings) : [{ label: null, items }];
+  
+    groups.forEach(group => {
+      if (group.label !== null) {
+        this.createGroupHeader(group.label, groupBy, templateAttrName, template);
+      }
+      group.items.forEach(item => {
+        const rule = templateRules.find(entry => entry && templates.has(entry.template) && matchesTemplateRule(entry, item, orderIndex));
+        const itemTemplate = rule ? templates.get(rule.template) : template;
+        const clonedTargetParent = itemTemplate.cloneNode(true);
+        clonedTargetParent.style.display = '';
+        clonedTargetParent.id = '';
+        const newTargetParentValue = orderIndex + 1;
+        clonedTargetParent.setAttribute(templateAttrName, newTargetParentValue);
+        itemTemplate.parentNode.appendChild(clonedTargetParent);
+        this.clones.push(clonedTargetParent);
+        this.cloneSources.set(clonedTargetParent, item.element || item.data);
+  
+        let order = parsedOrderTargetParent[orderIndex];
+        if (order !== undefined) {
+          order = parseInt(order, 10);
+          if (!isNaN(order)) {
+            clonedTargetParent.style.order = order;
+          } else {
+            reportDiagnostic('DOMProcessor', 'warning', `${path}.orderTargetParent`, `Invalid order value at position ${orderIndex}.`);
           }
-          orderIndex++;
+        }
+        orderIndex++;
   
-          child3Elements.forEach(child3 => {
-            this.processChild3(child3, clonedTargetParent, sourceAttributes);
-          });
-        });
+        const regions = this.extractRegions(clonedTargetParent, nested);
+        this.populate(item, clonedTargetParent, mappings);
+        this.replaceTokens(clonedTargetParent, item, mappings, config, path);
+        this.applyVisibility(clonedTargetParent, item, mappings, config);
+        regions.forEach(region => this.fillRegion(region, item, mappings, config, path));
+      });
+    });
+  
+    templates.forEach(element => this.removeNode(element));
+  }
+  
+  populate(item, clone, mappings) {
+    if (item.element) {
+      item.child3Elements.forEach(child3 => {
+        this.processChild3(child3, clone, mappings);
+      });
+    } else {
+      this.processData(item.data, clone, mappings);
+    }
+  }
+  
+  // Takes the repeatable regions out of a clone, so they are not filled with the fields of the outer item.
+  extractRegions(clone, nested) {
+    const regions = [];
+    nested.forEach(declaration => {
+      if (!declaration || !declaration.targetContainerAttribute) return;
+      clone.querySelectorAll(`[${declaration.targetContainerAttribute}]`).forEach(template => {
+        // Regions inside another region belong to the next level.
+        if (!clone.contains(template)) return;
+        const marker = document.createComment(`${declaration.targetContainerAttribute}`);
+        template.parentNode.replaceChild(marker, template);
+        regions.push({ declaration, key: template.getAttribute(declaration.targetContainerAttribute), template, marker });
       });
     });
+    return regions;
+  }
   
-    template.parentNode.removeChild(template);
-    allSourceParents.forEach(sourceParent => {
-      sourceParent.parentNode.removeChild(sourceParent);
+  // Repeats a region once per nested item, to any depth.
+  fillRegion(region, item, parentMappings, config, path) {
+    const { declaration, key, template, marker } = region;
+    const mappings = declaration.sourceAttributes ? normalizeMappings(declaration.sourceAttributes) : parentMappings;
+    const visibility = {
+      emptyFields: config.emptyFields,
+      removeEmptyImages: config.removeEmptyImages,
+      conditions: declaration.conditions || []
+    };
+    this.getNestedItems(item, declaration, key, mappings).forEach(nestedItem => {
+      const nestedClone = template.cloneNode(true);
+      const regions = this.extractRegions(nestedClone, declaration.nested || []);
+      this.populate(nestedItem, nestedClone, mappings);
+      this.replaceTokens(nestedClone, nestedItem, mappings, config, path);
+      this.applyVisibility(nestedClone, nestedItem, mappings, visibility);
+      regions.forEach(nestedRegion => this.fillRegion(nestedRegion, nestedItem, mappings, config, path));
+      marker.parentNode.insertBefore(nestedClone, marker);
     });
+    marker.remove();
   }
   
-  processChild3(child3, clonedTargetParent, sourceAttributes) {
-    let type, key, value, targetAttribute;
-    sourceAttributes.forEach(attr => {
-      if (attr.sourceContainerAttributeTxt && child3.hasAttribute(attr.sourceContainerAttributeTxt)) {
-        type = 'txt';
-        key = child3.getAttribute(attr.sourceContainerAttributeTxt);
-        value = child3.textContent;
-        targetAttribute = attr.targetContainerAttributeTxt;
+  getNestedItems(item, declaration, key, mappings) {
+    if (item.data) {
+      const list = getPath(item.data, key);
+      if (!Array.isArray(list)) return [];
+      return list.map(entry => ({ data: entry && typeof entry === 'object' ? entry : { value: entry } }));
+    }
+    if (!declaration.sourceContainerAttribute) return [];
+    const wrapper = queryOwn(item.element, `[${declaration.sourceContainerAttribute}="${key}"]`)[0];
+    if (!wrapper) return [];
+    const childSelectors = getChildSelectors(mappings);
+    return Array.from(wrapper.querySelectorAll('.w-dyn-item'))
+      .filter(element => element.parentElement.closest('.w-dyn-item') === item.element)
+      .map(element => ({ element, child3Elements: childSelectors ? queryOwn(element, childSelectors) : [] }));
+  }
+  
+  findField(sourceGroup, field, mappings) {
+    for (const mapping of mappings) {
+      if (!mapping.source) continue;
+      const element = queryOwn(sourceGroup, `[${mapping.source}="${field}"]`)[0];
+      if (element) return element;
+    }
+    return null;
+  }
+  
+  getFieldValue(item, field, from, mappings) {
+    if (item.data) {
+      const value = readDataValue(item.data, field, from);
+      return value === undefined ? null : value;
+    }
+    const element = this.findField(item.element, field, mappings);
+    return element ? this.readValue(element, from) : null;
+  }
+  
+  sortItems(items, sortBy, mappings) {
+    const criteria = (Array.isArray(sortBy) ? sortBy : [sortBy])
+      .map(criterion => (typeof criterion === 'string' ? { field: criterion } : criterion))
+      .filter(criterion => criterion && criterion.field);
+    const keyed = items.map(item => ({
+      item,
+      keys: criteria.map(({ field, type = 'string', from = 'text' }) => {
+        return parseSortValue(this.getFieldValue(item, field, from, mappings), type);
+      })
+    }));
+    keyed.sort((a, b) => {
+      for (let index = 0; index < criteria.length; index++) {
+        const result = compareSortValues(a.keys[index], b.keys[index], criteria[index].order);
+        if (result !== 0) return result;
       }
-      if (attr.sourceContainerAttributeImg && child3.hasAttribute(attr.sourceContainerAttributeImg)) {
-        type = 'img';
-        key = child3.getAttribute(attr.sourceContainerAttributeImg);
-        value = child3.src;
-        targetAttribute = attr.targetContainerAttributeImg;
+      return 0;
+    });
+    return keyed.map(({ item }) => item);
+  }
+  
+  groupItems(items, groupBy, mappings) {
+    const { field, format = 'value', locale, from = 'text' } = typeof groupBy === 'string' ? { field: groupBy } : groupBy;
+    const groups = new Map();
+    items.forEach(item => {
+      const label = formatGroupLabel(this.getFieldValue(item, field, from, mappings), format, locale);
+      if (!groups.has(label)) {
+        groups.set(label, { label, items: [] });
       }
+      groups.get(label).items.push(item);
     });
+    return Array.from(groups.values());
+  }
   
-    if (!key || !targetAttribute) return;
-    const targetSelector = `[${targetAttribute}="${key}"]`;
-    const targetContainers = clonedTargetParent.querySelectorAll(targetSelector);
-    targetContainers.forEach(targetContainer => {
-      if (type === 'txt') {
-        targetContainer.textContent = value;
-      } else if (type === 'img') {
-        targetContainer.src = value;
+  createGroupHeader(label, groupBy, templateAttrName, template) {
+    const { template: name = 'group', labelAttribute = 'group-label' } = typeof groupBy === 'string' ? {} : groupBy;
+    const headerTemplate = document.querySelector(`[${templateAttrName}="${name}"]`);
+    let header;
+    if (headerTemplate) {
+      this.hideNode(headerTemplate);
+      this.headerTemplates.add(headerTemplate);
+      header = headerTemplate.cloneNode(true);
+      header.style.display = '';
+      header.id = '';
+      header.removeAttribute(templateAttrName);
+      const labels = header.querySelectorAll(`[${labelAttribute}]`);
+      if (labels.length > 0) {
+        labels.forEach(element => {
+          element.textContent = label;
+        });
+      } else {
+        header.textContent = label;
       }
+    } else {
+      header = document.createElement('div');
+      header.className = 'wf-group-header';
+      header.textContent = label;
+    }
+    (headerTemplate || template).parentNode.appendChild(header);
+    this.clones.push(header);
+  }
+  
+  processChild3(child3, clonedTargetParent, mappings) {
+    mappings.forEach(mapping => {
+      const key = child3.getAttribute(mapping.source);
+      if (!key) return;
+      const targetContainers = clonedTargetParent.querySelectorAll(`[${mapping.target}="${key}"]`);
+      if (targetContainers.length === 0) return;
+      const value = this.readValue(child3, mapping.from);
+      targetContainers.forEach(targetContainer => this.writeValue(targetContainer, mapping, value));
     });
   }
   
+  processData(data, clonedTargetParent, mappings) {
+    mappings.forEach(mapping => {
+      clonedTargetParent.querySelectorAll(`[${mapping.target}]`).forEach(targetContainer => {
+        const value = readDataValue(data, targetContainer.getAttribute(mapping.target), mapping.from);
+        if (value !== undefined) {
+          this.writeValue(targetContainer, mapping, value);
+        }
+      });
+    });
+  }
+  
+  // Empty means: no source element (or one Webflow marked with w-dyn-bind-empty) or no value in the JSON item.
+  isFieldEmpty(item, field, mappings) {
+    if (item.data) {
+      const value = getPath(item.data, field);
+      return Array.isArray(value) ? value.length === 0 : typeof value !== 'object' ? isEmpty(value) : value === null;
+    }
+    const element = this.findField(item.element, field, mappings);
+    if (!element || element.classList.contains('w-dyn-bind-empty')) return true;
+    return element.textContent.trim() === '' && !element.getAttribute('src') && !element.getAttribute('href');
+  }
+  
+  applyVisibility(clone, item, mappings, config) {
+    const { emptyFields = 'keep', conditions = [], removeEmptyImages = false } = config;
+    if (emptyFields === 'clear' || emptyFields === 'remove') {
+      mappings.forEach(mapping => {
+        clone.querySelectorAll(`[${mapping.target}]`).forEach(target => {
+          if (!this.isFieldEmpty(item, target.getAttribute(mapping.target), mappings)) return;
+          if (emptyFields === 'remove') {
+            target.remove();
+          } else {
+            this.writeValue(target, mapping, null);
+          }
+        });
+      });
+    }
+    conditions.forEach(condition => {
+      if (!condition || !condition.field) return;
+      const { selector = null, action = 'hide', className } = condition;
+      const targets = selector ? Array.from(clone.querySelectorAll(selector)) : [clone];
+      const matches = this.matchesCondition(condition, item, mappings);
+      targets.forEach(target => {
+        if (action === 'hide' && matches) {
+          target.style.display = 'none';
+        } else if (action === 'show' && !matches) {
+          target.style.display = 'none';
+        } else if (action === 'remove' && matches && target !== clone) {
+          target.remove();
+        } else if (action === 'addClass' && matches) {
+          target.classList.add(className);
+        } else if (action === 'removeClass' && matches) {
+          target.classList.remove(className);
+        }
+      });
+    });
+    if (removeEmptyImages) {
+      clone.querySelectorAll('img').forEach(image => {
+        if (isEmpty(image.getAttribute('src')) || image.classList.contains('w-dyn-bind-empty')) {
+          image.remove();
+        }
+      });
+    }
+  }
+  
+  // All tests given in a condition have to match.
+  matchesCondition(condition, item, mappings) {
+    const { field, empty, equals, matches, from = 'text' } = condition;
+    if (empty !== undefined && this.isFieldEmpty(item, field, mappings) !== Boolean(empty)) return false;
+    if (equals === undefined && matches === undefined) return true;
+    const value = this.getFieldValue(item, field, from, mappings);
+    const text = value === null ? '' : value.trim();
+    if (equals !== undefined && text !== String(equals)) return false;
+    if (matches !== undefined) {
+      try {
+        if (!(matches instanceof RegExp ? matches : new RegExp(matches)).test(text)) return false;
+      } catch (error) {
+        return false;
+      }
+    }
+    return true;
+  }
+  
+  // Replaces {{field | formatter:arg}} tokens in the text and attributes of a clone.
+  replaceTokens(root, item, mappings, config, path) {
+    const render = text => text.replace(TOKEN_PATTERN, (token, expression) => this.renderToken(expression, item, mappings, config, path));
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+      if (walker.currentNode.nodeValue.includes('{{')) {
+        textNodes.push(walker.currentNode);
+      }
+    }
+    textNodes.forEach(node => {
+      node.nodeValue = render(node.nodeValue);
+    });
+    [root, ...root.querySelectorAll('*')].forEach(element => {
+      Array.from(element.attributes).forEach(attribute => {
+        if (attribute.value.includes('{{')) {
+          element.setAttribute(attribute.name, render(attribute.value));
+        }
+      });
+    });
+  }
+  
+  renderToken(expression, item, mappings, config, path) {
+    const [field, ...filters] = splitOutsideQuotes(expression, '|');
+    const value = this.getFieldValue(item, field, 'text', mappings);
+    const context = { locale: config.locale, item: item.element || item.data };
+    const available = { ...formatters, ...config.formatters };
+    return filters.reduce((current, filter) => {
+      const [name, ...args] = splitOutsideQuotes(filter, ':');
+      const formatter = available[name];
+      if (typeof formatter !== 'function') {
+        if (!this.unknownFormatters.has(name)) {
+          this.unknownFormatters.add(name);
+          reportDiagnostic('DOMProcessor', 'warning', `${path}.formatters`, `Unknown formatter "${name}" in {{${expression}}}.`);
+        }
+        return current;
+      }
+      const result = formatter(current, args.map(unquote), context);
+      return result === null || result === undefined ? '' : String(result);
+    }, value === null ? '' : value.trim());
+  }
+  
+  readValue(source, from) {
+    if (from === 'text') return source.textContent;
+    if (from === 'html') return source.innerHTML;
+    if (from === 'background') {
+      const match = /url\(\s*(['"]?)(.*?)\1\s*\)/.exec(source.style.backgroundImage);
+      return match ? match[2] : null;
+    }
+    return source.getAttribute(from);
+  }
+  
+  writeValue(target, mapping, value) {
+    const { type, to } = mapping;
+    if (type === 'text') {
+      target.textContent = value;
+    } else if (type === 'html') {
+      target.innerHTML = value;
+    } else if (type === 'attribute') {
+      if (value === null) {
+        target.removeAttribute(to);
+      } else {
+        target.setAttribute(to, value);
+      }
+    } else if (type === 'property') {
+      if (value === null) {
+        target.removeAttribute(to);
+      } else {
+        target[to] = value;
+      }
+    } else if (type === 'style') {
+      if (value === null || value === '') {
+        target.style.removeProperty(to);
+      } else {
+        target.style.setProperty(to, value);
+      }
+    } else if (type === 'background') {
+      target.style.backgroundImage = value ? `url("${value}")` : '';
+    }
+  }
+  
   removeElements(config) {
     const { sourceParentAttribute = [], targetParentAttribute = [] } = config;
     sourceParentAttribute.forEach(sourceParentAttr => {
       const sourceParents = document.querySelectorAll(`[${sourceParentAttr}]`);
-      sourceParents.forEach(sourceParent => {
-        if (sourceParent.parentNode) {
-          sourceParent.parentNode.removeChild(sourceParent);
-        }
-      });
+      sourceParents.forEach(sourceParent => this.removeNode(sourceParent));
     });
     targetParentAttribute.forEach(targetParentAttr => {
       const targetParents = document.querySelectorAll(`[${targetParentAttr}]`);
-      targetParents.forEach(targetParent => {
-        if (targetParent.parentNode) {
-          targetParent.parentNode.removeChild(targetParent);
-        }
-      });
+      targetParents.forEach(targetParent => this.removeNode(targetParent));
     });
   }
 }
-window.DOMProcessor = DOMProcessor;
+
+/**
+ * Adds a formatter for {{field | name:arg}} tokens to all DOMProcessor instances.
+ * @param {string} name - The name used in tokens.
+ * @param {Function} formatter - Called with (value, args, { locale, item }), returns the formatted value.
+ */
+DOMProcessor.registerFormatter = (name, formatter) => {
+  if (typeof formatter !== 'function') {
+    throw new Error(`WFLib: Formatter '${name}' must be a function.`);
+  }
+  formatters[name] = formatter;
+};
+
+DOMProcessor.schema = {
+  sourceAttributes: { type: 'array', items: 'object', check: checkMappings },
+  sourceParentAttribute: { type: 'array', items: 'string' },
+  targetParentAttribute: { type: 'array', items: 'string' },
+  orderTargetParent: { type: ['array', 'string'] },
+  targetParentVisible: { type: ['string', 'boolean'], enum: ['true', 'false', true, false] },
+  templateRules: { type: 'array', items: 'object', check: checkTemplateRules },
+  sortBy: { type: ['string', 'object', 'array'] },
+  groupBy: { type: ['string', 'object'] },
+  offset: { type: 'number', min: 0 },
+  limit: { type: 'number', min: 0 },
+  data: { type: ['array', 'object'] },
+  dataScript: { type: 'string' },
+  dataUrl: { type: 'string' },
+  dataPath: { type: 'string' },
+  locale: { type: 'string' },
+  formatters: { type: 'object' },
+  conditions: { type: 'array', items: 'object', check: checkConditions },
+  emptyFields: { type: 'string', enum: ['keep', 'clear', 'remove'] },
+  removeEmptyImages: { type: 'boolean' },
+  keepSources: { type: 'boolean' },
+  nested: { type: 'array', items: 'object', check: checkNested },
+  loadAllPages: { type: 'boolean' },
+  maxPages: { type: 'number', min: 1 },
+  filter: { type: 'function' },
+  enabled: { type: 'boolean' }
+};
+register('DOMProcessor', DOMProcessor);
+
+export { DOMProcessor };
@@ -0,0 +1,290 @@
+/**
+ * Tests for DOMProcessor Class
+ */
+import { DOMProcessor } from './DOMProcessor.js';
+import * as eventBus from './core/eventBus.js';
+
+describe('DOMProcessor', () => {
+  let processor;
+
+  const renderCollection = () => {
+    document.body.innerHTML = `
+      <div source-parent>
+        <div class="w-dyn-item">
+          <h3 source="title">First</h3>
+          <a source="link" href="/first">Read</a>
+          <img source-img="image" src="first.jpg" srcset="first-500.jpg 500w" alt="First image">
+          <div source="body"><p>Rich <strong>text</strong></p></div>
+          <span source-color="accent">#ff0000</span>
+        </div>
+      </div>
+      <div class="list">
+        <div target-parent="1">
+          <h3 target="title"></h3>
+          <a target="link" href="#">Read</a>
+          <img target-img="image" src="placeholder.jpg" srcset="placeholder-500.jpg 500w">
+          <div target-bg="image"></div>
+          <div target="body"></div>
+          <div target-card="accent"></div>
+        </div>
+      </div>
+    `;
+  };
+
+  afterEach(() => {
+    processor.destroy();
+  });
+
+  it('should keep supporting the short forms for text and images', () => {
+    renderCollection();
+    processor = new DOMProcessor({
+      sourceAttributes: [
+        { sourceContainerAttributeTxt: 'source', targetContainerAttributeTxt: 'target' },
+        { sourceContainerAttributeImg: 'source-img', targetContainerAttributeImg: 'target-img' }
+      ],
+      sourceParentAttribute: ['source-parent'],
+      targetParentAttribute: ['target-parent']
+    });
+    const clone = document.querySelector('[target-parent="1"]');
+    expect(clone.querySelector('[target="title"]').textContent).toBe('First');
+    expect(clone.querySelector('[target-img="image"]').getAttribute('src')).toContain('first.jpg');
+  });
+
+  it('should map attributes, rich text, backgrounds and custom properties', () => {
+    renderCollection();
+    processor = new DOMProcessor({
+      sourceAttributes: [
+        { sourceContainerAttribute: 'source', targetContainerAttribute: 'target', type: 'attribute', from: 'href' },
+        { sourceContainerAttribute: 'source', targetContainerAttribute: 'target', type: 'html' },
+        { sourceContainerAttribute: 'source-img', targetContainerAttribute: 'target-img', type: 'attribute', from: 'srcset' },
+        { sourceContainerAttribute: 'source-img', targetContainerAttribute: 'target-img', type: 'attribute', from: 'sizes' },
+        { sourceContainerAttribute: 'source-img', targetContainerAttribute: 'target-img', type: 'attribute', from: 'alt' },
+        { sourceContainerAttribute: 'source-img', targetContainerAttribute: 'target-bg', type: 'background' },
+        { sourceContainerAttribute: 'source-color', targetContainerAttribute: 'target-card', type: 'style', to: '--accent' }
+      ],
+      sourceParentAttribute: ['source-parent'],
+      targetParentAttribute: ['target-parent']
+    });
+    const clone = document.querySelector('[target-parent="1"]');
+    const image = clone.querySelector('[target-img="image"]');
+    expect(clone.querySelector('[target="link"]').getAttribute('href')).toBe('/first');
+    expect(clone.querySelector('[target="body"]').innerHTML).toBe('<p>Rich <strong>text</strong></p>');
+    expect(image.getAttribute('srcset')).toBe('first-500.jpg 500w');
+    expect(image.hasAttribute('sizes')).toBe(false);
+    expect(image.getAttribute('alt')).toBe('First image');
+    expect(clone.querySelector('[target-bg="image"]').style.backgroundImage).toBe('url("first.jpg")');
+    expect(clone.querySelector('[target-card="accent"]').style.getPropertyValue('--accent')).toBe('#ff0000');
+  });
+
+  it('should choose the template per item by CMS field and position', () => {
+    document.body.innerHTML = `
+      <div source-parent>
+        <div class="w-dyn-item"><span source="title">A</span><span source-type>featured</span></div>
+        <div class="w-dyn-item"><span source="title">B</span><span source-type>regular</span></div>
+        <div class="w-dyn-item"><span source="title">C</span><span source-type>regular</span></div>
+      </div>
+      <div class="list">
+        <div target-parent="1" class="card"><span target="title"></span></div>
+        <div target-parent="featured" class="featured"><span target="title"></span></div>
+        <div target-parent="last" class="last"><span target="title"></span></div>
+      </div>
+    `;
+    processor = new DOMProcessor({
+      sourceAttributes: [{ sourceContainerAttribute: 'source', targetContainerAttribute: 'target' }],
+      sourceParentAttribute: ['source-parent'],
+      targetParentAttribute: ['target-parent'],
+      templateRules: [
+        { template: 'featured', sourceAttribute: 'source-type', value: 'featured' },
+        { template: 'last', nth: '3n' }
+      ]
+    });
+    const clones = Array.from(document.querySelectorAll('.list > div'));
+    expect(clones.map(clone => `${clone.className}:${clone.textContent}`)).toEqual(['featured:A', 'card:B', 'last:C']);
+  });
+
+  it('should sort, limit and group the items', () => {
+    const item = (title, price, category) => `
+      <div class="w-dyn-item"><span source="title">${title}</span><span source="price">${price}</span><span source="category">${category}</span></div>`;
+    document.body.innerHTML = `
+      <div source-parent>${item('A', '12', 'News')}${item('B', '3', 'Blog')}${item('C', '', 'News')}${item('D', '100', 'Blog')}</div>
+      <div class="list">
+        <div target-parent="group" class="group"><h4 group-label></h4></div>
+        <div target-parent="1" class="card"><span target="title"></span></div>
+      </div>
+    `;
+    processor = new DOMProcessor({
+      sourceAttributes: [{ sourceContainerAttribute: 'source', targetContainerAttribute: 'target' }],
+      sourceParentAttribute: ['source-parent'],
+      targetParentAttribute: ['target-parent'],
+      sortBy: { field: 'price', type: 'number', order: 'desc' },
+      groupBy: 'category',
+      offset: 1,
+      limit: 2
+    });
+    const elements = Array.from(document.querySelectorAll('.list > div'));
+    expect(elements.map(element => `${element.className}:${element.textContent.trim()}`)).toEqual(['group:News', 'card:A', 'group:Blog', 'card:B']);
+  });
+
+  it('should render items from an embedded JSON script with nested paths', () => {
+    document.body.innerHTML = `
+      <script type="application/json" id="team">{ "members": [{ "name": "Kim", "role": { "title": "Design" }, "url": "/kim" }] }</script>
+      <div class="list">
+        <div target-parent="1"><h3 target="name"></h3><p target="role.title"></p><a target-href="url" href="#">Profile</a></div>
+      </div>
+    `;
+    processor = new DOMProcessor({
+      sourceAttributes: [
+        { targetContainerAttribute: 'target' },
+        { targetContainerAttribute: 'target-href', type: 'attribute', to: 'href' }
+      ],
+      targetParentAttribute: ['target-parent'],
+      dataScript: '#team',
+      dataPath: 'members'
+    });
+    const clone = document.querySelector('[target-parent="1"]');
+    expect(clone.querySelector('h3').textContent).toBe('Kim');
+    expect(clone.querySelector('p').textContent).toBe('Design');
+    expect(clone.querySelector('a').getAttribute('href')).toBe('/kim');
+  });
+
+  it('should replace tokens in text and attributes with formatters', () => {
+    document.body.innerHTML = `
+      <div source-parent>
+        <div class="w-dyn-item"><span source="title">Über die Brücke</span><span source="date">2024-03-05</span><span source="author"></span></div>
+      </div>
+      <div class="list">
+        <div target-parent="1"><a href="/blog/{{title | slugify}}">{{author | default:'Team'}} · {{date | date:'DD.MM.YYYY'}} · {{title | truncate:4 | shout}}</a></div>
+      </div>
+    `;
+    processor = new DOMProcessor({
+      sourceAttributes: [{ sourceContainerAttribute: 'source', targetContainerAttribute: 'target' }],
+      sourceParentAttribute: ['source-parent'],
+      targetParentAttribute: ['target-parent'],
+      formatters: { shout: value => `${value}!` }
+    });
+    const link = document.querySelector('[target-parent="1"] a');
+    expect(link.getAttribute('href')).toBe('/blog/ueber-die-bruecke');
+    expect(link.textContent).toBe('Team · 05.03.2024 · Über…!');
+  });
+
+  it('should clear empty fields, remove empty images and apply conditions', () => {
+    document.body.innerHTML = `
+      <div source-parent>
+        <div class="w-dyn-item"><span source="title">A</span><img source-img="image" class="w-dyn-bind-empty"><span source="status">sale</span></div>
+      </div>
+      <div class="list">
+        <div target-parent="1">
+          <h3 target="title"></h3><p target="author">Placeholder</p><img target-img="image" src="placeholder.jpg">
+          <span class="badge">Sale</span><span class="new">New</span>
+        </div>
+      </div>
+    `;
+    processor = new DOMProcessor({
+      sourceAttributes: [
+        { sourceContainerAttribute: 'source', targetContainerAttribute: 'target' },
+        { sourceContainerAttributeImg: 'source-img', targetContainerAttributeImg: 'target-img' }
+      ],
+      sourceParentAttribute: ['source-parent'],
+      targetParentAttribute: ['target-parent'],
+      emptyFields: 'clear',
+      removeEmptyImages: true,
+      conditions: [
+        { field: 'status', equals: 'sale', selector: '.badge', action: 'show' },
+        { field: 'status', equals: 'new', selector: '.new', action: 'show' },
+        { field: 'status', matches: '^sa', action: 'addClass', className: 'is-sale' }
+      ]
+    });
+    const clone = document.querySelector('[target-parent="1"]');
+    expect(clone.querySelector('[target="author"]').textContent).toBe('');
+    expect(clone.querySelector('img')).toBeNull();
+    expect(clone.querySelector('.badge').style.display).toBe('');
+    expect(clone.querySelector('.new').style.display).toBe('none');
+    expect(clone.classList.contains('is-sale')).toBe(true);
+  });
+
+  it('should keep the sources and render again with changed options', () => {
+    document.body.innerHTML = `
+      <div source-parent>
+        <div class="w-dyn-item"><span source="title">A</span><span source="price">30</span></div>
+        <div class="w-dyn-item"><span source="title">B</span><span source="price">10</span></div>
+      </div>
+      <div class="list"><div target-parent="1"><span target="title"></span></div></div>
+    `;
+    processor = new DOMProcessor({
+      sourceAttributes: [{ sourceContainerAttribute: 'source', targetContainerAttribute: 'target' }],
+      sourceParentAttribute: ['source-parent'],
+      targetParentAttribute: ['target-parent'],
+      keepSources: true
+    });
+    const sourceList = document.querySelector('[source-parent]');
+    const titles = () => Array.from(document.querySelectorAll('.list > div')).map(clone => clone.textContent);
+    expect(sourceList.style.display).toBe('none');
+    expect(titles()).toEqual(['A', 'B']);
+
+    sourceList.insertAdjacentHTML('beforeend', '<div class="w-dyn-item"><span source="title">C</span><span source="price">20</span></div>');
+    processor.rerender({ sortBy: { field: 'price', type: 'number' } });
+    expect(titles()).toEqual(['B', 'C', 'A']);
+    expect(processor.getSource(document.querySelector('.list > div'))).toBe(sourceList.children[1]);
+  });
+
+  it('should repeat nested regions for nested collection items', () => {
+    document.body.innerHTML = `
+      <div source-parent>
+        <div class="w-dyn-item">
+          <h2 source="title">Talk</h2>
+          <div source-list="speakers">
+            <div class="w-dyn-item"><span source="title">Kim</span></div>
+            <div class="w-dyn-item"><span source="title">Lee</span></div>
+          </div>
+        </div>
+      </div>
+      <div class="list">
+        <div target-parent="1"><h2 target="title"></h2><ul><li target-list="speakers"><span target="title"></span></li></ul></div>
+      </div>
+    `;
+    processor = new DOMProcessor({
+      sourceAttributes: [{ sourceContainerAttribute: 'source', targetContainerAttribute: 'target' }],
+      sourceParentAttribute: ['source-parent'],
+      targetParentAttribute: ['target-parent'],
+      nested: [{ sourceContainerAttribute: 'source-list', targetContainerAttribute: 'target-list' }]
+    });
+    const clones = document.querySelectorAll('.list > div');
+    expect(clones).toHaveLength(1);
+    expect(clones[0].querySelector('h2').textContent).toBe('Talk');
+    expect(Array.from(clones[0].querySelectorAll('li')).map(speaker => speaker.textContent)).toEqual(['Kim', 'Lee']);
+  });
+
+  describe('pagination', () => {
+    let unsubscribe;
+
+    afterEach(() => {
+      unsubscribe();
+      delete global.fetch;
+    });
+
+    it('should fetch and render the following pages of a paginated list', async () => {
+      const page = (titles, next) => `
+        <div source-parent class="w-dyn-list">
+          <div class="w-dyn-items">${titles.map(title => `<div class="w-dyn-item"><span source="title">${title}</span></div>`).join('')}</div>
+          ${next ? `<div class="w-pagination-wrapper"><a class="w-pagination-next" href="${next}">Next</a></div>` : ''}
+        </div>`;
+      document.body.innerHTML = `${page(['A', 'B'], '?list_page=2')}<div class="list"><div target-parent="1"><span target="title"></span></div></div>`;
+      const pages = { 2: page(['C'], '?list_page=3'), 3: page(['D']) };
+      global.fetch = jest.fn(url => Promise.resolve({ ok: true, text: () => Promise.resolve(pages[new URL(url).searchParams.get('list_page')]) }));
+      const complete = new Promise(resolve => { unsubscribe = eventBus.on('domprocessor:complete', resolve); });
+      const wrapper = document.querySelector('.w-pagination-wrapper');
+
+      processor = new DOMProcessor({
+        sourceAttributes: [{ sourceContainerAttribute: 'source', targetContainerAttribute: 'target' }],
+        sourceParentAttribute: ['source-parent'],
+        targetParentAttribute: ['target-parent'],
+        loadAllPages: true
+      });
+      expect(wrapper.style.display).toBe('none');
+
+      expect(await complete).toEqual(expect.objectContaining({ pages: 3 }));
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(Array.from(document.querySelectorAll('.list > div')).map(clone => clone.textContent)).toEqual(['A', 'B', 'C', 'D']);
+    });
+  });
+});
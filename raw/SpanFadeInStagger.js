@@ -12,6 +12,29 @@
  * - repeat (boolean): If true, animation resets when the element leaves the viewport (default: false).
  * - tokenSizeWord (boolean): If true, wraps individual words; if false, wraps lines (default: false).
  * - responsive (boolean): If true, re-initializes on window resize (default: false).
+ * - scrollSource (Window|HTMLElement|string|ScrollManager): Scroller the elements are revealed in: window, a
+ *   scrollable element or its selector (used as observer root), or a ScrollManager instance (default: window;
+ *   see core/scrollSource.js).
+ * - observeDOM (boolean): If true, elements with one of the textIDs that are added to the DOM later (e.g. CMS
+ *   content or DOMProcessor clones) are wrapped and observed as well, and removed ones are released
+ *   (default: false).
+ * - reducedMotion (boolean|string): 'auto' follows the WFLib motion policy, true/false force or ignore the
+ *   reduced-motion fallback (default: 'auto'). With reduced motion the text is shown instantly.
+ * - enabled (boolean): If false, the original text is shown without animation (default: true).
+ *
+ * Every option also accepts a breakpoint map such as { desktop: 100, mobilePortrait: 60 } (see
+ * core/breakpoints.js), e.g. a shorter staggerDelay on phones.
+ *
+ * Lifecycle:
+ * - destroy(): Disconnects all observers, clears pending staggers and restores the original markup.
+ * - refresh(): Re-wraps the text of all elements (e.g. after the text or layout changed).
+ * - pause() / resume(): Stops and restarts observing the elements for new reveals.
+ * - getDebugInfo(): The threshold of every observed element, drawn by the debug overlay (see core/debug.js).
+ *
+ * Events (published as "stagger:<event>" on the WFLib event bus):
+ * - reveal, reset: An element starts its fade-in or is reset when repeating ({ element }).
+ * - disable, enable: `enabled` changed with the breakpoint.
+ * - init, pause, resume, refresh, destroy
  *
  * Example instantiation (asynchron sicher):
  * window.addEventListener('DOMContentLoaded', () => {
@@ -30,8 +53,41 @@
  * @version 1.0.0
  * @license MIT
  */
+import * as eventBus from './core/eventBus.js';
+import { register } from './core/registry.js';
+import { isReducedMotion, onMotionChange } from './core/motion.js';
+import * as scheduler from './core/scheduler.js';
+import { observeDOM } from './core/domObserver.js';
+import { validate, reportDiagnostic } from './core/validator.js';
+import { resolveOptions, watchBreakpoints, isEnabled } from './core/breakpoints.js';
+import { resolveScrollSource, scrollSourceRule } from './core/scrollSource.js';
+
 class SpanFadeInStagger {
   constructor(config) {
+    validate('SpanFadeInStagger', config, SpanFadeInStagger.schema);
+    this.applyOptions(resolveOptions(config));
+    this.unwatchBreakpoints = watchBreakpoints(config, resolved => this.applyBreakpoint(resolved));
+    this.isReducedMotion = isReducedMotion(this.reducedMotion);
+    this.observers = new Map();
+    this.originalContent = new Map();
+    this.timeouts = new Set();
+    this.isPaused = false;
+    this.resizeHandler = this.debounce(() => this.init(), 300);
+    this.motionUnsubscribe = onMotionChange(() => this.applyMotionPreference());
+
+    this.domContentLoadedHandler = () => {
+      this.init();
+      this.updateResizeSubscription();
+      this.updateDOMSubscription();
+    };
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', this.domContentLoadedHandler);
+    } else {
+      this.domContentLoadedHandler();
+    }
+  }
+  
+  applyOptions(config) {
     this.textIDs = config.textIDs || [];
     this.easing = config.easing || 'ease';
     this.transition = config.transition || '200ms';
@@ -40,97 +96,183 @@ class SpanFadeInStagger {
     this.repeat = config.repeat || false;
     this.tokenSizeWord = config.tokenSizeWord || false;
     this.responsive = config.responsive || false;
-    this.observers = new Map();
-
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => {
-        this.init();
-        if (this.responsive) {
-          window.addEventListener('resize', this.debounce(() => this.init(), 300));
-        }
-      });
-    } else {
+    this.observeDOM = config.observeDOM || false;
+    this.scrollSource = config.scrollSource || null;
+    this.reducedMotion = config.reducedMotion !== undefined ? config.reducedMotion : 'auto';
+    this.isEnabled = isEnabled(config);
+  }
+  
+  applyBreakpoint(config) {
+    const wasEnabled = this.isEnabled;
+    this.applyOptions(config);
+    this.applyMotionPreference();
+    if (document.readyState === 'loading') return;
+    this.updateResizeSubscription();
+    this.updateDOMSubscription();
+    if (wasEnabled && !this.isEnabled) {
+      this.teardown();
+      this.emit('disable');
+    } else if (!wasEnabled && this.isEnabled) {
       this.init();
-      if (this.responsive) {
-        window.addEventListener('resize', this.debounce(() => this.init(), 300));
-      }
+      this.emit('enable');
+    } else if (this.isEnabled) {
+      this.refresh();
+    }
+  }
+  
+  updateResizeSubscription() {
+    if (this.responsive && !this.unsubscribeResize) {
+      this.unsubscribeResize = scheduler.onResize(this.resizeHandler);
+    } else if (!this.responsive && this.unsubscribeResize) {
+      this.unsubscribeResize();
+      this.unsubscribeResize = null;
     }
   }
   
+  updateDOMSubscription() {
+    if (this.unobserveDOM) {
+      this.unobserveDOM();
+      this.unobserveDOM = null;
+    }
+    if (!this.observeDOM) return;
+    const selector = this.textIDs.map(textID => `[id="${textID}"]`).join(', ');
+    this.unobserveDOM = observeDOM(selector, {
+      added: elements => this.bindAddedElements(elements),
+      removed: elements => this.releaseRemovedElements(elements)
+    });
+  }
+  
+  // Moved elements are reported as added as well; they keep their spans and observer.
+  bindAddedElements(elements) {
+    if (!this.isEnabled) return;
+    const root = this.getObserverRoot();
+    elements.forEach(element => {
+      if (!this.originalContent.has(element)) {
+        this.initElement(element.id, root);
+      }
+    });
+  }
+  
+  releaseRemovedElements(elements) {
+    elements.forEach(element => {
+      this.originalContent.delete(element);
+      const observer = this.observers.get(element.id);
+      if (observer && !document.getElementById(element.id)) {
+        observer.disconnect();
+        this.observers.delete(element.id);
+      }
+    });
+  }
+  
   debounce(func, wait) {
     let timeout;
     return () => {
       clearTimeout(timeout);
-      timeout = setTimeout(() => func.apply(this), wait);
+      this.timeouts.delete(timeout);
+      timeout = setTimeout(() => {
+        this.timeouts.delete(timeout);
+        func.apply(this);
+      }, wait);
+      this.timeouts.add(timeout);
     };
   }
   
+  getObserverRoot() {
+    const source = resolveScrollSource(this.scrollSource);
+    if (!source) {
+      reportDiagnostic('SpanFadeInStagger', 'warning', 'scrollSource', `No element found for '${this.scrollSource}', observing the viewport instead.`);
+      return null;
+    }
+    return source.element;
+  }
+  
   init() {
-    this.textIDs.forEach(textID => {
-      const textElement = document.getElementById(textID);
-      if (!textElement) {
-        console.error(`Element with ID "${textID}" not found.`);
-        return;
-      }
+    if (!this.isEnabled) return;
+    const root = this.getObserverRoot();
+    this.textIDs.forEach(textID => this.initElement(textID, root));
+    this.emit('init');
+  }
   
-      if (this.observers.has(textID)) {
-        this.observers.get(textID).disconnect();
-        this.observers.delete(textID);
+  initElement(textID, root) {
+    const textElement = document.getElementById(textID);
+    if (!textElement) {
+      if (!this.observeDOM) {
+        reportDiagnostic('SpanFadeInStagger', 'error', 'textIDs', `Element with ID "${textID}" not found.`);
       }
+      return;
+    }
   
-      if (!this.repeat && textElement.getAttribute('data-animated') === 'true') {
-        return;
-      }
+    if (this.observers.has(textID)) {
+      this.observers.get(textID).disconnect();
+      this.observers.delete(textID);
+    }
   
+    if (!this.repeat && textElement.getAttribute('data-animated') === 'true') {
+      return;
+    }
+  
+    if (this.isReducedMotion) {
       this.unwrapSpans(textElement);
-      this.tokenSizeWord ? this.wrapWordsInSpans(textElement) : this.wrapLinesInSpans(textElement);
-      textElement.style.overflow = 'hidden';
+      this.restoreElement(textElement);
+      textElement.setAttribute('data-animated', 'true');
+      this.emit('reveal', { element: textElement });
+      return;
+    }
   
-      const spans = this.tokenSizeWord
-        ? Array.from(textElement.querySelectorAll('span.word-span'))
-        : Array.from(textElement.querySelectorAll('span.line-span'));
+    this.unwrapSpans(textElement);
+    this.tokenSizeWord ? this.wrapWordsInSpans(textElement) : this.wrapLinesInSpans(textElement);
+    textElement.style.overflow = 'hidden';
   
-      if (spans.length === 0) {
-        console.warn(`No ${this.tokenSizeWord ? 'word' : 'line'} spans found within element with ID "${textID}".`);
-      } else {
-        spans.forEach(span => {
-          span.style.display = this.tokenSizeWord ? 'inline-block' : 'block';
-          if (this.tokenSizeWord) {
-            span.style.whiteSpace = 'pre-wrap';
-          }
-          span.style.opacity = '0';
-          span.style.transform = 'translateY(20px)';
-          span.style.transition = `opacity ${this.transition} ${this.easing}, transform ${this.transition} ${this.easing}`;
-          span.style.willChange = 'opacity, transform';
-        });
-      }
+    const spans = this.tokenSizeWord
+      ? Array.from(textElement.querySelectorAll('span.word-span'))
+      : Array.from(textElement.querySelectorAll('span.line-span'));
+  
+    if (spans.length === 0) {
+      console.warn(`No ${this.tokenSizeWord ? 'word' : 'line'} spans found within element with ID "${textID}".`);
+    } else {
+      spans.forEach(span => {
+        span.style.display = this.tokenSizeWord ? 'inline-block' : 'block';
+        if (this.tokenSizeWord) {
+          span.style.whiteSpace = 'pre-wrap';
+        }
+        span.style.opacity = '0';
+        span.style.transform = 'translateY(20px)';
+        span.style.transition = `opacity ${this.transition} ${this.easing}, transform ${this.transition} ${this.easing}`;
+        span.style.willChange = 'opacity, transform';
+      });
+    }
   
-      const observerOptions = { threshold: this.threshold };
-      const observer = new IntersectionObserver((entries, observerInstance) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            this.animateSpans(spans);
-            if (!this.repeat) {
-              textElement.setAttribute('data-animated', 'true');
-              observerInstance.unobserve(entry.target);
-            }
-          } else if (this.repeat) {
-            this.resetSpans(spans);
+    const observerOptions = { threshold: this.threshold, root };
+    const observer = new IntersectionObserver((entries, observerInstance) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.animateSpans(spans);
+          this.emit('reveal', { element: textElement });
+          if (!this.repeat) {
+            textElement.setAttribute('data-animated', 'true');
+            observerInstance.unobserve(entry.target);
           }
-        });
-      }, observerOptions);
+        } else if (this.repeat) {
+          this.resetSpans(spans);
+          this.emit('reset', { element: textElement });
+        }
+      });
+    }, observerOptions);
   
+    if (!this.isPaused) {
       observer.observe(textElement);
-      this.observers.set(textID, observer);
-    });
+    }
+    this.observers.set(textID, observer);
   }
   
   animateSpans(spans) {
     spans.forEach((span, index) => {
-      setTimeout(() => {
+      const timeout = setTimeout(() => {
+        this.timeouts.delete(timeout);
         span.style.opacity = '1';
         span.style.transform = 'translateY(0)';
       }, index * this.staggerDelay);
+      this.timeouts.add(timeout);
     });
   }
   
@@ -141,6 +283,108 @@ class SpanFadeInStagger {
     });
   }
   
+  unwrapSpans(element) {
+    if (!this.originalContent.has(element)) {
+      this.originalContent.set(element, {
+        html: element.innerHTML,
+        style: element.getAttribute('style')
+      });
+      return;
+    }
+    element.innerHTML = this.originalContent.get(element).html;
+  }
+  
+  restoreElement(element) {
+    const original = this.originalContent.get(element);
+    element.innerHTML = original.html;
+    if (original.style === null) {
+      element.removeAttribute('style');
+    } else {
+      element.setAttribute('style', original.style);
+    }
+    element.removeAttribute('data-animated');
+  }
+  
+  getDebugInfo() {
+    const info = { boxes: [], lines: [], badges: [] };
+    const threshold = Math.round(this.threshold * 100);
+    this.observers.forEach((observer, textID) => {
+      const textElement = document.getElementById(textID);
+      if (!textElement) return;
+      const rect = textElement.getBoundingClientRect();
+      const revealed = textElement.getAttribute('data-animated') === 'true' ? ', revealed' : '';
+      info.boxes.push({ rect, label: `stagger #${textID}${revealed}` });
+      info.lines.push({
+        y: rect.top + rect.height * this.threshold,
+        left: rect.left,
+        width: rect.width,
+        label: `stagger threshold ${threshold}%`,
+        type: 'threshold'
+      });
+    });
+    return info;
+  }
+  
+  emit(type, detail = {}) {
+    eventBus.emit(`stagger:${type}`, { instance: this, ...detail });
+  }
+  
+  applyMotionPreference() {
+    const reduced = isReducedMotion(this.reducedMotion);
+    if (reduced === this.isReducedMotion) return;
+    this.isReducedMotion = reduced;
+    if (this.originalContent.size > 0) {
+      this.init();
+    }
+  }
+  
+  refresh() {
+    this.init();
+    this.emit('refresh');
+  }
+  
+  pause() {
+    if (this.isPaused) return;
+    this.isPaused = true;
+    this.observers.forEach(observer => observer.disconnect());
+    this.emit('pause');
+  }
+  
+  resume() {
+    if (!this.isPaused) return;
+    this.isPaused = false;
+    this.observers.forEach((observer, textID) => {
+      const textElement = document.getElementById(textID);
+      if (textElement && (this.repeat || textElement.getAttribute('data-animated') !== 'true')) {
+        observer.observe(textElement);
+      }
+    });
+    this.emit('resume');
+  }
+  
+  teardown() {
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers.clear();
+    this.timeouts.forEach(timeout => clearTimeout(timeout));
+    this.timeouts.clear();
+    this.originalContent.forEach((original, element) => this.restoreElement(element));
+    this.originalContent.clear();
+  }
+  
+  destroy() {
+    document.removeEventListener('DOMContentLoaded', this.domContentLoadedHandler);
+    if (this.unsubscribeResize) {
+      this.unsubscribeResize();
+    }
+    if (this.unobserveDOM) {
+      this.unobserveDOM();
+    }
+    this.motionUnsubscribe();
+    this.unwatchBreakpoints();
+    this.teardown();
+    this.emit('destroy');
+  }
+  
   wrapLinesInSpans(element) {
     const range = document.createRange();
     const textNodes = this.getTextNodes(element);
@@ -213,4 +457,21 @@ class SpanFadeInStagger {
     return nodes;
   }
 }
-window.SpanFadeInStagger = SpanFadeInStagger;
+
+SpanFadeInStagger.schema = {
+  textIDs: { type: 'array', items: 'string', minItems: 1, required: true },
+  easing: { type: 'string' },
+  transition: { type: 'string' },
+  threshold: { type: 'number', min: 0, max: 1 },
+  staggerDelay: { type: 'number', min: 0 },
+  repeat: { type: 'boolean' },
+  tokenSizeWord: { type: 'boolean' },
+  responsive: { type: 'boolean' },
+  observeDOM: { type: 'boolean' },
+  scrollSource: scrollSourceRule,
+  enabled: { type: 'boolean' },
+  reducedMotion: { type: ['boolean', 'string'], enum: ['auto', true, false] }
+};
+register('SpanFadeInStagger', SpanFadeInStagger);
+
+export { SpanFadeInStagger };
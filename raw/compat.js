@@ -0,0 +1,38 @@
+/**
+ * Legacy Globals Compatibility Shim
+ *
+ * Opt-in helper for custom code written against the old standalone scripts, which created generic globals
+ * such as window.Slider, window.Filter, window.defaultConfig and window.supportedEasings.
+ *
+ * Example:
+ * import { installLegacyGlobals } from './raw/compat.js';
+ * installLegacyGlobals();
+ * new Slider(sliderConfigs);
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+import { getComponent, listComponents } from './core/registry.js';
+import { defaultConfig, supportedEasings } from './config_project/configOptions.js';
+
+/**
+ * Copies all registered components and the ComboClassConfigurator defaults onto the target object.
+ * Existing properties with a different value are left untouched and reported.
+ * @param {Object} target - The object receiving the globals (default: window).
+ * @returns {Array<string>} The names that were installed.
+ */
+export function installLegacyGlobals(target = window) {
+  const globals = { defaultConfig, supportedEasings };
+  listComponents().forEach(name => {
+    globals[name] = getComponent(name);
+  });
+
+  return Object.keys(globals).filter(name => {
+    if (target[name] !== undefined && target[name] !== globals[name]) {
+      console.warn(`WFLib: Global '${name}' is already defined by another script and was not overwritten.`);
+      return false;
+    }
+    target[name] = globals[name];
+    return true;
+  });
+}
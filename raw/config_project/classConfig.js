@@ -6,7 +6,7 @@
  * allowing for dynamic class manipulation on DOM elements.
  *
  * Options (for each configuration):
- * - eventName (string): The event to listen for (e.g., "click").
+ * - eventName (string): The event to listen for ("click", "hover", "scrollInView" or a WFLib event bus type such as "toggle:open").
  * - transitionTime (string): Duration of the transition (default: "0s").
  * - removeTransitionTime (string|null): Transition duration when removing classes.
  * - easingMode (string): CSS easing function (default: "ease").
@@ -14,6 +14,7 @@
  * - exitThreshold (number|null): Percentage (0-100) at which classes are removed.
  * - parentElement (string|HTMLElement): Selector or element for the container of target elements.
  * - triggerElement (string|HTMLElement): Selector or element that triggers the event.
+ * - targetClass (string): Selector of the elements inside parentElement (or the document) that get the classes.
  * - once (boolean): If true, the event listener is removed after the first trigger (default: false).
  * - debounce (number): Delay in ms for debouncing (default: 0).
  * - switchAction (boolean): If true, toggles between adding and removing classes (default: false).
@@ -24,6 +25,28 @@
  * - addClasses (Array<string>): Classes to add.
  * - removeClasses (Array<string>): Classes to remove.
  * - topAddClasses (Array<string>): Classes to add auf oberster Ebene.
+ * - scrollSource (Window|HTMLElement|string|ScrollManager): Scroller for scrollInView: window, a scrollable
+ *   element or its selector (used as observer root), or a ScrollManager instance (default: window; see
+ *   core/scrollSource.js).
+ * - observeDOM (boolean): If true, the setup is re-run when matching triggers or parents are added to or
+ *   removed from the DOM later, e.g. by CMS load-more or DOMProcessor clones. Triggers that stay in place
+ *   keep their state (default: false).
+ * - enabled (boolean): If false, the configuration is skipped (default: true).
+ *
+ * Every option also accepts a breakpoint map (see core/breakpoints.js), e.g.
+ * eventName: { desktop: "hover", tablet: "click" }. The setup is re-run when the breakpoint changes the
+ * options; classes that were already added stay in place.
+ *
+ * Lifecycle:
+ * - destroy(): Removes all event listeners, disconnects scroll observers and cancels pending debounced calls.
+ * - refresh(): Tears down and re-runs the setup so newly rendered triggers and targets are picked up.
+ * - pause() / resume(): Ignores and re-accepts trigger events.
+ * - getDebugInfo(): Entry and exit threshold of every scrollInView trigger, drawn by the debug overlay
+ *   (see core/debug.js).
+ *
+ * Events (published as "classconfig:<event>" on the WFLib event bus):
+ * - add, remove: Classes were added or removed for a configuration ({ trigger, config }).
+ * - init, pause, resume, refresh, destroy
  *
  * Example instantiation (asynchron sicher):
  * window.addEventListener('DOMContentLoaded', () => {
@@ -43,397 +66,658 @@
  * @version 1.0.0
  * @license MIT
  */
-(function() {
-    class ComboClassConfigurator {
-        constructor(configs) {
-            Array.isArray(configs)
-                ? (this.initialConfigs = configs)
-                : (() => { throw new Error("Invalid classConfigs parameter. An array is expected."); })();
-        
-            this.classConfigs = [];
-            this.scrollObservers = new Map();
-        
-            if (document.readyState === "loading") {
-                document.addEventListener("DOMContentLoaded", () => this.setup());
-            } else {
-                this.setup();
-            }
+import * as eventBus from "../core/eventBus.js";
+import { register } from "../core/registry.js";
+import * as scheduler from "../core/scheduler.js";
+import { observeDOM } from "../core/domObserver.js";
+import { validate, reportDiagnostic } from "../core/validator.js";
+import { resolveOptions, watchBreakpoints, isEnabled } from "../core/breakpoints.js";
+import { resolveScrollSource } from "../core/scrollSource.js";
+import { defaultConfig, supportedEasings, configSchema } from "./configOptions.js";
+
+class ComboClassConfigurator {
+    constructor(configs) {
+        Array.isArray(configs)
+            ? (this.initialConfigs = configs)
+            : (() => { throw new Error("Invalid classConfigs parameter. An array is expected."); })();
+        this.initialConfigs.forEach((config, index) => {
+            validate("ComboClassConfigurator", config, ComboClassConfigurator.schema, `configs[${index}]`);
+        });
+        this.resolvedConfigs = resolveOptions(this.initialConfigs);
+        this.unwatchBreakpoints = watchBreakpoints(this.initialConfigs, resolved => this._applyBreakpoint(resolved));
+    
+        this.classConfigs = [];
+        this.scrollObservers = new Map();
+        this.scrollConfigs = new Map();
+        this.listeners = [];
+        this.busSubscriptions = [];
+        this.debouncers = [];
+        this.unobserve = null;
+        this.classStates = null;
+        this.isPaused = false;
+    
+        this.domContentLoadedHandler = () => this.setup();
+        if (document.readyState === "loading") {
+            document.addEventListener("DOMContentLoaded", this.domContentLoadedHandler);
+        } else {
+            this.setup();
         }
-        
-        setup() {
-            this.initialConfigs.forEach(config => {
-                const mergedConfig = { ...window.defaultConfig, ...config };
-                mergedConfig.easingMode = window.supportedEasings.includes(mergedConfig.easingMode)
-                    ? mergedConfig.easingMode
-                    : window.defaultConfig.easingMode;
-                mergedConfig.entryThreshold = this._validateThreshold(mergedConfig.entryThreshold, window.defaultConfig.entryThreshold);
-                mergedConfig.exitThreshold = this._validateThreshold(mergedConfig.exitThreshold, window.defaultConfig.exitThreshold);
-                mergedConfig.addClasses = this._cleanClasses(mergedConfig.addClasses);
-                mergedConfig.removeClasses = this._cleanClasses(mergedConfig.removeClasses);
-                mergedConfig.topAddClasses = this._cleanClasses(mergedConfig.topAddClasses);
-        
-                const repeatCount = (typeof mergedConfig.repeatConfiguration === "number" && mergedConfig.repeatConfiguration >= 1)
-                    ? Math.floor(mergedConfig.repeatConfiguration)
-                    : 1;
-        
-                if (mergedConfig.topAddClasses.length > 0) {
-                    if (mergedConfig.removeClasses.length > 0) {
-                        console.warn(`'removeClasses' should not be defined when 'topAddClasses' is set. It will be ignored.`);
-                        mergedConfig.removeClasses = [];
-                    }
-                    if (mergedConfig.switchAction) {
-                        console.warn(`'switchAction' should not be defined when 'topAddClasses' is set. It will be set to false.`);
-                        mergedConfig.switchAction = false;
-                    }
+    }
+    
+    setup() {
+        this.classConfigs = [];
+        this.resolvedConfigs.filter(isEnabled).forEach(config => {
+            const mergedConfig = { ...defaultConfig, ...config, sourceConfig: config };
+            mergedConfig.easingMode = supportedEasings.includes(mergedConfig.easingMode)
+                ? mergedConfig.easingMode
+                : defaultConfig.easingMode;
+            mergedConfig.entryThreshold = this._validateThreshold(mergedConfig.entryThreshold, defaultConfig.entryThreshold);
+            mergedConfig.exitThreshold = this._validateThreshold(mergedConfig.exitThreshold, defaultConfig.exitThreshold);
+            mergedConfig.addClasses = this._cleanClasses(mergedConfig.addClasses);
+            mergedConfig.removeClasses = this._cleanClasses(mergedConfig.removeClasses);
+            mergedConfig.topAddClasses = this._cleanClasses(mergedConfig.topAddClasses);
+    
+            const repeatCount = (typeof mergedConfig.repeatConfiguration === "number" && mergedConfig.repeatConfiguration >= 1)
+                ? Math.floor(mergedConfig.repeatConfiguration)
+                : 1;
+    
+            if (mergedConfig.topAddClasses.length > 0) {
+                if (mergedConfig.removeClasses.length > 0) {
+                    reportDiagnostic("ComboClassConfigurator", "warning", "removeClasses", "'removeClasses' should not be defined when 'topAddClasses' is set. It will be ignored.");
+                    mergedConfig.removeClasses = [];
                 }
-        
-                if (mergedConfig.triggerAttribut && mergedConfig.parentAttribute) {
-                    this._processAttributeBasedPairing(mergedConfig);
-                } else {
-                    this._processRepeatConfiguration(mergedConfig, repeatCount);
+                if (mergedConfig.switchAction) {
+                    reportDiagnostic("ComboClassConfigurator", "warning", "switchAction", "'switchAction' should not be defined when 'topAddClasses' is set. It will be set to false.");
+                    mergedConfig.switchAction = false;
                 }
-            });
-        
-            this.initEventListeners();
-        }
-        
-        /**
-         * Validates the threshold value.
-         * Ensures the threshold is a valid number between 0 and 100.
-         * @param {number} value - The threshold value to validate.
-         * @param {number} defaultValue - The default value to use if validation fails.
-         * @returns {number} The validated threshold value.
-         * @private
-         */
-        _validateThreshold(value, defaultValue) {
-            if (typeof value !== "number") {
-                console.warn(`Invalid threshold value: ${value}. Expected a number. Using default value: ${defaultValue}`);
-                return defaultValue;
             }
-            if (value < 0 || value > 100) {
-                console.warn(`Threshold value ${value} is out of range. Expected a value between 0 and 100. Using default value: ${defaultValue}`);
-                return defaultValue;
+    
+            if (mergedConfig.triggerAttribut && mergedConfig.parentAttribute) {
+                this._processAttributeBasedPairing(mergedConfig);
+            } else {
+                this._processRepeatConfiguration(mergedConfig, repeatCount);
             }
-            return value;
-        }
-        
-        /**
-         * Cleans the classes array.
-         * Removes dots and trims whitespace from class names.
-         * @param {Array<string>} classes - The classes to clean.
-         * @returns {Array<string>} The cleaned classes array.
-         * @private
-         */
-        _cleanClasses(classes) {
-            return Array.isArray(classes)
-                ? classes.map(cls => cls.replace(".", "").trim()).filter(Boolean)
-                : [];
+        });
+    
+        this.initEventListeners();
+        this._observeDOM();
+    }
+    
+    /**
+     * Validates the threshold value.
+     * Ensures the threshold is a valid number between 0 and 100. Invalid values are reported by the
+     * validator (see configSchema), here only the default is applied.
+     * @param {number|null} value - The threshold value to validate.
+     * @param {number|null} defaultValue - The default value to use if validation fails.
+     * @returns {number|null} The validated threshold value.
+     * @private
+     */
+    _validateThreshold(value, defaultValue) {
+        if (typeof value !== "number" || value < 0 || value > 100) {
+            return defaultValue;
         }
-        
-        /**
-         * Processes attribute-based pairing of elements.
-         * Pairs parent and trigger elements based on matching attribute values.
-         * @param {Object} config - The configuration object.
-         * @private
-         */
-        _processAttributeBasedPairing(config) {
-            const parentElements = document.querySelectorAll(`[${config.parentAttribute}]`);
-            const triggerElements = document.querySelectorAll(`[${config.triggerAttribut}]`);
-            const parentMap = this._mapElementsByAttribute(parentElements, config.parentAttribute);
-            const triggerMap = this._mapElementsByAttribute(triggerElements, config.triggerAttribut);
-        
-            parentMap.forEach((parents, attrValue) => {
-                if (triggerMap.has(attrValue)) {
-                    const triggers = triggerMap.get(attrValue);
-                    parents.forEach(parent => {
-                        triggers.forEach(trigger => {
-                            this.classConfigs.push({
-                                ...config,
-                                parentElement: parent,
-                                triggerElement: trigger,
-                                repeatConfiguration: 1,
-                                triggerAttribut: "",
-                                parentAttribute: ""
-                            });
+        return value;
+    }
+    
+    /**
+     * Cleans the classes array.
+     * Removes dots and trims whitespace from class names.
+     * @param {Array<string>} classes - The classes to clean.
+     * @returns {Array<string>} The cleaned classes array.
+     * @private
+     */
+    _cleanClasses(classes) {
+        return Array.isArray(classes)
+            ? classes.map(cls => cls.replace(".", "").trim()).filter(Boolean)
+            : [];
+    }
+    
+    /**
+     * Processes attribute-based pairing of elements.
+     * Pairs parent and trigger elements based on matching attribute values.
+     * @param {Object} config - The configuration object.
+     * @private
+     */
+    _processAttributeBasedPairing(config) {
+        const parentElements = document.querySelectorAll(`[${config.parentAttribute}]`);
+        const triggerElements = document.querySelectorAll(`[${config.triggerAttribut}]`);
+        const parentMap = this._mapElementsByAttribute(parentElements, config.parentAttribute);
+        const triggerMap = this._mapElementsByAttribute(triggerElements, config.triggerAttribut);
+    
+        parentMap.forEach((parents, attrValue) => {
+            if (triggerMap.has(attrValue)) {
+                const triggers = triggerMap.get(attrValue);
+                parents.forEach(parent => {
+                    triggers.forEach(trigger => {
+                        this.classConfigs.push({
+                            ...config,
+                            parentElement: parent,
+                            triggerElement: trigger,
+                            repeatConfiguration: 1,
+                            triggerAttribut: "",
+                            parentAttribute: ""
                         });
                     });
+                });
+            }
+        });
+    }
+    
+    /**
+     * Maps elements by attribute.
+     * Creates a map of elements grouped by their attribute values.
+     * @param {NodeList} elements - The elements to map.
+     * @param {string} attribute - The attribute to map by.
+     * @returns {Map} The mapped elements.
+     * @private
+     */
+    _mapElementsByAttribute(elements, attribute) {
+        const map = new Map();
+        elements.forEach(element => {
+            const attrValue = element.getAttribute(attribute).trim();
+            if (attrValue) {
+                if (map.has(attrValue)) {
+                    map.get(attrValue).push(element);
+                } else {
+                    map.set(attrValue, [element]);
                 }
-            });
+            }
+        });
+        return map;
+    }
+    
+    /**
+     * Processes repeat configuration.
+     * Creates multiple configurations based on the repeat count.
+     * @param {Object} config - The configuration object.
+     * @param {number} repeatCount - The number of times to repeat the configuration.
+     * @private
+     */
+    _processRepeatConfiguration(config, repeatCount) {
+        if (repeatCount < 1) {
+            console.warn(`Invalid repeat count: ${repeatCount}. Using default value: 1`);
+            repeatCount = 1;
         }
-        
-        /**
-         * Maps elements by attribute.
-         * Creates a map of elements grouped by their attribute values.
-         * @param {NodeList} elements - The elements to map.
-         * @param {string} attribute - The attribute to map by.
-         * @returns {Map} The mapped elements.
-         * @private
-         */
-        _mapElementsByAttribute(elements, attribute) {
-            const map = new Map();
-            elements.forEach(element => {
-                const attrValue = element.getAttribute(attribute).trim();
-                if (attrValue) {
-                    if (map.has(attrValue)) {
-                        map.get(attrValue).push(element);
-                    } else {
-                        map.set(attrValue, [element]);
-                    }
+
+        for (let i = 1; i <= repeatCount; i++) {
+            const suffix = i === 1 ? "" : `-${i}`;
+            const appendSuffix = str => {
+                if (!str) return "";
+                if (typeof str !== "string") {
+                    console.warn(`Invalid element selector: ${str}. Expected a string.`);
+                    return "";
                 }
+                return str.endsWith(suffix) ? str : `${str}${suffix}`;
+            };
+            const parentElement = appendSuffix(config.parentElement);
+            const triggerElement = appendSuffix(config.triggerElement);
+            this.classConfigs.push({
+                ...config,
+                parentElement: parentElement,
+                triggerElement: triggerElement,
+                repeatConfiguration: 1
             });
-            return map;
         }
-        
-        /**
-         * Processes repeat configuration.
-         * Creates multiple configurations based on the repeat count.
-         * @param {Object} config - The configuration object.
-         * @param {number} repeatCount - The number of times to repeat the configuration.
-         * @private
-         */
-        _processRepeatConfiguration(config, repeatCount) {
-            if (repeatCount < 1) {
-                console.warn(`Invalid repeat count: ${repeatCount}. Using default value: 1`);
-                repeatCount = 1;
-            }
-
-            for (let i = 1; i <= repeatCount; i++) {
-                const suffix = i === 1 ? "" : `-${i}`;
-                const appendSuffix = str => {
-                    if (!str) return "";
-                    if (typeof str !== "string") {
-                        console.warn(`Invalid element selector: ${str}. Expected a string.`);
-                        return "";
-                    }
-                    return str.endsWith(suffix) ? str : `${str}${suffix}`;
-                };
-                const parentElement = appendSuffix(config.parentElement);
-                const triggerElement = appendSuffix(config.triggerElement);
-                this.classConfigs.push({
-                    ...config,
-                    parentElement: parentElement,
-                    triggerElement: triggerElement,
-                    repeatConfiguration: 1
-                });
-            }
-        }
-        
-        /**
-         * Initializes event listeners.
-         * Sets up event listeners for each configuration.
-         * @private
-         */
-        initEventListeners() {
-            const getElement = selectorOrId => {
-                if (!selectorOrId) return null;
-                return selectorOrId.startsWith(".")
-                    ? document.querySelector(selectorOrId)
-                    : document.getElementById(selectorOrId);
-            };
-        
-            const debounceHandler = (func, delay = 0) => {
-                let rafId = null;
-                let timeoutId = null;
-                let argsCache = null;
-        
-                const callback = () => {
-                    rafId = null;
-                    func(...argsCache);
-                    argsCache = null;
-                };
-        
-                return function(...args) {
-                    argsCache = args;
-                    if (rafId === null) {
-                        rafId = requestAnimationFrame(callback);
-                    }
-                    if (delay > 0) {
-                        clearTimeout(timeoutId);
-                        timeoutId = setTimeout(() => {
-                            if (rafId !== null) {
-                                cancelAnimationFrame(rafId);
-                                rafId = null;
-                            }
-                            func(...argsCache);
-                            argsCache = null;
-                        }, delay);
-                    }
-                };
+    }
+    
+    /**
+     * Initializes event listeners.
+     * Sets up event listeners for each configuration.
+     * @private
+     */
+    initEventListeners() {
+        const debounceHandler = (func, delay = 0) => {
+            let cancelFrame = null;
+            let timeoutId = null;
+            let argsCache = null;
+    
+            const callback = () => {
+                cancelFrame = null;
+                func(...argsCache);
+                argsCache = null;
             };
-        
-            const eventHandlers = new Map([
-                ["click", this._handleClick.bind(this)],
-                ["hover", this._handleHover.bind(this)],
-                ["scrollInView", this._handleScrollInView.bind(this)]
-            ]);
-        
-            this.classConfigs.forEach(config => {
-                const { eventName, entryThreshold, exitThreshold, debounce: debounceDelay, once, switchAction, topAddClasses } = config;
-                let triggerElement = null;
-                if (config.triggerElement) {
-                    triggerElement = (config.triggerElement instanceof Element)
-                        ? config.triggerElement
-                        : getElement(config.triggerElement);
+    
+            const debounced = function(...args) {
+                argsCache = args;
+                if (cancelFrame === null) {
+                    cancelFrame = scheduler.measure(callback);
                 }
-                if (config.triggerElement && !triggerElement) return;
-        
-                const addClassesDebounced = debounceHandler(() => {
-                    if (!config.once || !config.classesAdded) {
-                        this._initClasses(config, "add");
-                        config.classesAdded = true;
-                        if (config.callback) {
-                            config.callback(triggerElement || null, "add");
-                        }
-                    }
-                }, debounceDelay);
-        
-                const removeClassesDebounced = debounceHandler(() => {
-                    if (!config.once || config.classesAdded) {
-                        this._initClasses(config, "remove");
-                        config.classesAdded = false;
-                        if (config.callback) {
-                            config.callback(triggerElement || null, "remove");
+                if (delay > 0) {
+                    clearTimeout(timeoutId);
+                    timeoutId = setTimeout(() => {
+                        if (cancelFrame !== null) {
+                            cancelFrame();
+                            cancelFrame = null;
                         }
+                        func(...argsCache);
+                        argsCache = null;
+                    }, delay);
+                }
+            };
+            debounced.cancel = () => {
+                if (cancelFrame !== null) {
+                    cancelFrame();
+                }
+                clearTimeout(timeoutId);
+                cancelFrame = null;
+                argsCache = null;
+            };
+            this.debouncers.push(debounced);
+            return debounced;
+        };
+    
+        const eventHandlers = new Map([
+            ["click", this._handleClick.bind(this)],
+            ["hover", this._handleHover.bind(this)],
+            ["scrollInView", this._handleScrollInView.bind(this)]
+        ]);
+    
+        this.classConfigs.forEach(config => {
+            const { eventName, entryThreshold, exitThreshold, debounce: debounceDelay, once, switchAction, topAddClasses } = config;
+            let triggerElement = null;
+            if (config.triggerElement) {
+                triggerElement = (config.triggerElement instanceof Element)
+                    ? config.triggerElement
+                    : this._getElement(config.triggerElement);
+            }
+            if (config.triggerElement && !triggerElement) return;
+            config.boundTrigger = triggerElement;
+            const states = this.classStates && this.classStates.get(config.sourceConfig);
+            if (states && states.has(triggerElement)) {
+                config.classesAdded = states.get(triggerElement);
+            }
+    
+            const addClassesDebounced = debounceHandler(() => {
+                if (!config.once || !config.classesAdded) {
+                    this._initClasses(config, "add");
+                    config.classesAdded = true;
+                    if (config.callback) {
+                        config.callback(triggerElement || null, "add");
                     }
-                }, debounceDelay);
-        
-                const eventHandler = eventHandlers.get(eventName);
-                if (eventHandler) {
-                    eventHandler(triggerElement, config, addClassesDebounced, removeClassesDebounced);
+                    this._emit("add", { trigger: triggerElement || null, config });
                 }
-            });
-        }
-        
-        /**
-         * Handles click events.
-         * Adds or removes classes based on the click event.
-         * @param {HTMLElement} triggerElement - The element that triggers the event.
-         * @param {Object} config - The configuration object.
-         * @param {Function} addClassesDebounced - The debounced function to add classes.
-         * @param {Function} removeClassesDebounced - The debounced function to remove classes.
-         * @private
-         */
-        _handleClick(triggerElement, config, addClassesDebounced, removeClassesDebounced) {
-            triggerElement.addEventListener("click", () => {
-                if (config.switchAction) {
-                    if (config.classesAdded) {
-                        removeClassesDebounced();
-                    } else {
-                        addClassesDebounced();
+            }, debounceDelay);
+    
+            const removeClassesDebounced = debounceHandler(() => {
+                if (!config.once || config.classesAdded) {
+                    this._initClasses(config, "remove");
+                    config.classesAdded = false;
+                    if (config.callback) {
+                        config.callback(triggerElement || null, "remove");
                     }
+                    this._emit("remove", { trigger: triggerElement || null, config });
+                }
+            }, debounceDelay);
+    
+            const eventHandler = eventHandlers.get(eventName);
+            if (eventHandler) {
+                eventHandler(triggerElement, config, addClassesDebounced, removeClassesDebounced);
+            } else if (typeof eventName === "string" && eventName.includes(":")) {
+                this._handleBusEvent(eventName, config, addClassesDebounced, removeClassesDebounced);
+            }
+        });
+        this._emit("init");
+    }
+    
+    /**
+     * Publishes an event on the WFLib event bus.
+     * @param {string} type - The event name without namespace.
+     * @param {Object} detail - The event payload.
+     * @private
+     */
+    _emit(type, detail = {}) {
+        eventBus.emit(`classconfig:${type}`, { instance: this, ...detail });
+    }
+    
+    /**
+     * Resolves a class selector (".name") or an element ID to an element.
+     * @param {string} selectorOrId - The selector or ID.
+     * @returns {HTMLElement|null} The element, if found.
+     * @private
+     */
+    _getElement(selectorOrId) {
+        if (!selectorOrId) return null;
+        return selectorOrId.startsWith(".")
+            ? document.querySelector(selectorOrId)
+            : document.getElementById(selectorOrId);
+    }
+    
+    /**
+     * Adds an event listener that is skipped while paused and removed on destroy.
+     * @param {HTMLElement} element - The element to listen on.
+     * @param {string} eventType - The event type.
+     * @param {Function} listener - The listener.
+     * @private
+     */
+    _addListener(element, eventType, listener) {
+        const wrappedListener = event => {
+            if (!this.isPaused) {
+                listener(event);
+            }
+        };
+        element.addEventListener(eventType, wrappedListener);
+        this.listeners.push({ element, eventType, listener: wrappedListener });
+    }
+    
+    /**
+     * Handles click events.
+     * Adds or removes classes based on the click event.
+     * @param {HTMLElement} triggerElement - The element that triggers the event.
+     * @param {Object} config - The configuration object.
+     * @param {Function} addClassesDebounced - The debounced function to add classes.
+     * @param {Function} removeClassesDebounced - The debounced function to remove classes.
+     * @private
+     */
+    _handleClick(triggerElement, config, addClassesDebounced, removeClassesDebounced) {
+        this._addListener(triggerElement, "click", () => {
+            if (config.switchAction) {
+                if (config.classesAdded) {
+                    removeClassesDebounced();
                 } else {
                     addClassesDebounced();
                 }
-            });
-        }
-        
-        /**
-         * Handles hover events.
-         * Adds or removes classes based on the hover event.
-         * @param {HTMLElement} triggerElement - The element that triggers the event.
-         * @param {Object} config - The configuration object.
-         * @param {Function} addClassesDebounced - The debounced function to add classes.
-         * @param {Function} removeClassesDebounced - The debounced function to remove classes.
-         * @private
-         */
-        _handleHover(triggerElement, config, addClassesDebounced, removeClassesDebounced) {
-            triggerElement.addEventListener("mouseenter", addClassesDebounced);
-            triggerElement.addEventListener("mouseleave", removeClassesDebounced);
+            } else {
+                addClassesDebounced();
+            }
+        });
+    }
+    
+    /**
+     * Handles WFLib event bus events.
+     * Adds classes (or toggles them with switchAction) whenever the event is published by another component.
+     * @param {string} eventName - The namespaced event type (e.g. "toggle:open").
+     * @param {Object} config - The configuration object.
+     * @param {Function} addClassesDebounced - The debounced function to add classes.
+     * @param {Function} removeClassesDebounced - The debounced function to remove classes.
+     * @private
+     */
+    _handleBusEvent(eventName, config, addClassesDebounced, removeClassesDebounced) {
+        const unsubscribe = eventBus.on(eventName, () => {
+            if (this.isPaused) return;
+            if (config.switchAction && config.classesAdded) {
+                removeClassesDebounced();
+            } else {
+                addClassesDebounced();
+            }
+        });
+        this.busSubscriptions.push(unsubscribe);
+    }
+    
+    /**
+     * Handles hover events.
+     * Adds or removes classes based on the hover event.
+     * @param {HTMLElement} triggerElement - The element that triggers the event.
+     * @param {Object} config - The configuration object.
+     * @param {Function} addClassesDebounced - The debounced function to add classes.
+     * @param {Function} removeClassesDebounced - The debounced function to remove classes.
+     * @private
+     */
+    _handleHover(triggerElement, config, addClassesDebounced, removeClassesDebounced) {
+        this._addListener(triggerElement, "mouseenter", addClassesDebounced);
+        this._addListener(triggerElement, "mouseleave", removeClassesDebounced);
+    }
+    
+    /**
+     * Handles scroll in view events.
+     * Adds or removes classes based on the scroll event.
+     * @param {HTMLElement} triggerElement - The element that triggers the event.
+     * @param {Object} config - The configuration object.
+     * @param {Function} addClassesDebounced - The debounced function to add classes.
+     * @param {Function} removeClassesDebounced - The debounced function to remove classes.
+     * @private
+     */
+    _handleScrollInView(triggerElement, config, addClassesDebounced, removeClassesDebounced) {
+        const observer = new IntersectionObserver(
+            (entries) => {
+                if (this.isPaused) return;
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        addClassesDebounced();
+                    } else if (config.exitThreshold !== null) {
+                        removeClassesDebounced();
+                    }
+                });
+            },
+            {
+                threshold: [config.entryThreshold / 100, config.exitThreshold / 100],
+                root: this._getScrollRoot(config)
+            }
+        );
+        observer.observe(triggerElement);
+        this.scrollObservers.set(triggerElement, observer);
+        this.scrollConfigs.set(triggerElement, config);
+    }
+    
+    /**
+     * Resolves the scrollSource of a configuration to the root of its IntersectionObserver.
+     * @param {Object} config - The configuration object.
+     * @returns {HTMLElement|null} The scrollable element, or null for the viewport.
+     * @private
+     */
+    _getScrollRoot(config) {
+        const source = resolveScrollSource(config.scrollSource);
+        if (!source) {
+            reportDiagnostic("ComboClassConfigurator", "warning", "scrollSource", `No element found for '${config.scrollSource}', observing the viewport instead.`);
+            return null;
         }
-        
-        /**
-         * Handles scroll in view events.
-         * Adds or removes classes based on the scroll event.
-         * @param {HTMLElement} triggerElement - The element that triggers the event.
-         * @param {Object} config - The configuration object.
-         * @param {Function} addClassesDebounced - The debounced function to add classes.
-         * @param {Function} removeClassesDebounced - The debounced function to remove classes.
-         * @private
-         */
-        _handleScrollInView(triggerElement, config, addClassesDebounced, removeClassesDebounced) {
-            const observer = new IntersectionObserver(
-                (entries) => {
-                    entries.forEach(entry => {
-                        if (entry.isIntersecting) {
-                            addClassesDebounced();
-                        } else if (config.exitThreshold !== null) {
-                            removeClassesDebounced();
-                        }
-                    });
-                },
-                {
-                    threshold: [config.entryThreshold / 100, config.exitThreshold / 100]
+        return source.element;
+    }
+    
+    /**
+     * Subscribes to the shared DOM observer for the triggers and parents of configurations with observeDOM.
+     * @private
+     */
+    _observeDOM() {
+        const selectors = new Set();
+        this.resolvedConfigs.filter(config => isEnabled(config) && config.observeDOM).forEach(config => {
+            if (config.triggerAttribut && config.parentAttribute) {
+                selectors.add(`[${config.triggerAttribut}]`).add(`[${config.parentAttribute}]`);
+            }
+        });
+        this.classConfigs.filter(config => config.observeDOM).forEach(config => {
+            [config.triggerElement, config.parentElement].forEach(value => {
+                if (typeof value === "string" && value) {
+                    selectors.add(value.startsWith(".") ? value : `[id="${value}"]`);
                 }
-            );
-            observer.observe(triggerElement);
-            this.scrollObservers.set(triggerElement, observer);
-        }
-        
-        _calculateThresholds(entry, exit) {
-            const thresholds = new Set();
-            thresholds.add(entry / 100);
-            if (exit !== null) {
-                thresholds.add(exit / 100);
+            });
+        });
+        if (selectors.size === 0) return;
+        const rebind = () => this._rebind();
+        this.unobserve = observeDOM(Array.from(selectors).join(", "), { added: rebind, removed: rebind });
+    }
+    
+    /**
+     * Re-runs the setup after matching elements were added or removed, keeping whether classes are added
+     * for every trigger that is still bound.
+     * @private
+     */
+    _rebind() {
+        this.classStates = new Map();
+        this.classConfigs.forEach(config => {
+            if (!this.classStates.has(config.sourceConfig)) {
+                this.classStates.set(config.sourceConfig, new Map());
             }
-            return Array.from(thresholds);
+            this.classStates.get(config.sourceConfig).set(config.boundTrigger, config.classesAdded);
+        });
+        this._teardown();
+        this.setup();
+        this.classStates = null;
+    }
+    
+    _calculateThresholds(entry, exit) {
+        const thresholds = new Set();
+        thresholds.add(entry / 100);
+        if (exit !== null) {
+            thresholds.add(exit / 100);
         }
-        
-        _initClasses(config, action) {
-            const { targetClass, addClasses, removeClasses, topAddClasses, frequency, start, end, transitionTime, removeTransitionTime, easingMode } = config;
-            const startIndex = start - 1;
-            const endIndex = end === 0 ? Infinity : end - 1;
-            const transition = action === "remove" && removeTransitionTime ? removeTransitionTime : transitionTime;
-            const parent = config.parentElement ? (typeof config.parentElement === "string" ? getElement(config.parentElement) || document : config.parentElement) : document;
-            const targets = parent.querySelectorAll(targetClass);
-        
-            targets.forEach((element, index) => {
-                if (index >= startIndex && index <= endIndex && ((index - startIndex) % frequency === 0)) {
-                    element.style.transition = `all ${transition} ${easingMode}`;
-                    requestAnimationFrame(() => {
-                        if (action === "remove") {
-                            if (topAddClasses.length > 0) {
-                                element.classList.remove(...topAddClasses, ...addClasses);
-                            } else {
-                                element.classList.remove(...removeClasses);
-                            }
+        return Array.from(thresholds);
+    }
+    
+    _initClasses(config, action) {
+        const { targetClass, addClasses, removeClasses, topAddClasses, frequency, start, end, transitionTime, removeTransitionTime, easingMode } = config;
+        const startIndex = start - 1;
+        const endIndex = end === 0 ? Infinity : end - 1;
+        const transition = action === "remove" && removeTransitionTime ? removeTransitionTime : transitionTime;
+        const parent = config.parentElement ? (typeof config.parentElement === "string" ? this._getElement(config.parentElement) || document : config.parentElement) : document;
+        const targets = parent.querySelectorAll(targetClass);
+    
+        targets.forEach((element, index) => {
+            if (index >= startIndex && index <= endIndex && ((index - startIndex) % frequency === 0)) {
+                element.style.transition = `all ${transition} ${easingMode}`;
+                // Positionen in der Lesephase messen, Klassen in der Schreibphase setzen
+                let rect = null;
+                let viewportHeight = 0;
+                if (action !== "remove" && topAddClasses.length > 0) {
+                    scheduler.measure(() => {
+                        rect = element.getBoundingClientRect();
+                        viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+                    });
+                }
+                scheduler.mutate(() => {
+                    if (action === "remove") {
+                        if (topAddClasses.length > 0) {
+                            element.classList.remove(...topAddClasses, ...addClasses);
                         } else {
-                            if (topAddClasses.length > 0) {
-                                const rect = element.getBoundingClientRect();
-                                const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
-                                if (rect.bottom < 0) {
-                                    element.classList.add(...topAddClasses);
-                                    element.classList.remove(...addClasses);
-                                } else if (rect.top > viewportHeight) {
-                                    element.classList.add(...addClasses);
-                                    element.classList.remove(...topAddClasses);
-                                }
-                            } else {
+                            element.classList.remove(...removeClasses);
+                        }
+                    } else {
+                        if (topAddClasses.length > 0) {
+                            if (rect.bottom < 0) {
+                                element.classList.add(...topAddClasses);
+                                element.classList.remove(...addClasses);
+                            } else if (rect.top > viewportHeight) {
                                 element.classList.add(...addClasses);
+                                element.classList.remove(...topAddClasses);
                             }
+                        } else {
+                            element.classList.add(...addClasses);
                         }
-                        if (config.callback) {
-                            config.callback(element, action);
-                        }
-                    });
-                }
-            });
-        }
-        
-        _applyImmediateClasses(config) {
-            if (config.topAddClasses.length > 0) {
-                this._initClasses(config, "add");
-                config.classesAdded = true;
-            } else if (config.addClasses.length > 0) {
-                this._initClasses(config, "add");
-                config.classesAdded = true;
-            }
-            if (config.removeClasses.length > 0) {
-                this._initClasses(config, "remove");
-                config.classesAdded = false;
+                    }
+                    if (config.callback) {
+                        config.callback(element, action);
+                    }
+                });
             }
+        });
+    }
+    
+    _applyImmediateClasses(config) {
+        if (config.topAddClasses.length > 0) {
+            this._initClasses(config, "add");
+            config.classesAdded = true;
+        } else if (config.addClasses.length > 0) {
+            this._initClasses(config, "add");
+            config.classesAdded = true;
         }
+        if (config.removeClasses.length > 0) {
+            this._initClasses(config, "remove");
+            config.classesAdded = false;
+        }
+    }
+    
+    /**
+     * Removes all listeners, observers and pending debounced calls.
+     * @private
+     */
+    _teardown() {
+        this.listeners.forEach(({ element, eventType, listener }) => element.removeEventListener(eventType, listener));
+        this.listeners = [];
+        this.busSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.busSubscriptions = [];
+        this.scrollObservers.forEach(observer => observer.disconnect());
+        this.scrollObservers.clear();
+        this.scrollConfigs.clear();
+        this.debouncers.forEach(debounced => debounced.cancel());
+        this.debouncers = [];
+        if (this.unobserve) {
+            this.unobserve();
+            this.unobserve = null;
+        }
+    }
+    
+    /**
+     * Applies the configurations resolved for a new breakpoint.
+     * @param {Array<Object>} configs - The resolved configurations.
+     * @private
+     */
+    _applyBreakpoint(configs) {
+        this.resolvedConfigs = configs;
+        if (document.readyState === "loading") return;
+        this.refresh();
+    }
+    
+    /**
+     * Re-runs the setup against the current DOM.
+     */
+    refresh() {
+        this._teardown();
+        this.setup();
+        this._emit("refresh");
+    }
+    
+    /**
+     * Measures the scrollInView triggers for the debug overlay.
+     * @returns {Object} Boxes and threshold lines in viewport coordinates.
+     */
+    getDebugInfo() {
+        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+        const info = { boxes: [], lines: [], badges: [] };
+        this.scrollConfigs.forEach((config, triggerElement) => {
+            const rect = triggerElement.getBoundingClientRect();
+            const visibleHeight = Math.max(0, Math.min(rect.bottom, viewportHeight) - Math.max(rect.top, 0));
+            const visible = rect.height > 0 ? Math.round((visibleHeight / rect.height) * 100) : 0;
+            const exit = config.exitThreshold === null ? "none" : `${config.exitThreshold}%`;
+            info.boxes.push({ rect, label: `scrollInView ${visible}% visible (entry ${config.entryThreshold}%, exit ${exit})` });
+            info.lines.push({
+                y: rect.top + (rect.height * config.entryThreshold) / 100,
+                left: rect.left,
+                width: rect.width,
+                label: `entry ${config.entryThreshold}%`,
+                type: "start"
+            });
+            if (config.exitThreshold !== null) {
+                info.lines.push({
+                    y: rect.top + (rect.height * config.exitThreshold) / 100,
+                    left: rect.left,
+                    width: rect.width,
+                    label: `exit ${config.exitThreshold}%`,
+                    type: "end"
+                });
+            }
+        });
+        return info;
+    }
+    
+    /**
+     * Ignores trigger events until resume() is called.
+     */
+    pause() {
+        this.isPaused = true;
+        this._emit("pause");
+    }
+    
+    /**
+     * Re-accepts trigger events after pause().
+     */
+    resume() {
+        this.isPaused = false;
+        this._emit("resume");
     }
+    
+    /**
+     * Removes all listeners, observers and pending debounced calls.
+     */
+    destroy() {
+        document.removeEventListener("DOMContentLoaded", this.domContentLoadedHandler);
+        this.unwatchBreakpoints();
+        this._teardown();
+        this._emit("destroy");
+    }
+}
+
+ComboClassConfigurator.schema = configSchema;
+
+// Registriere die Klasse in der WFLib-Registry
+register("ComboClassConfigurator", ComboClassConfigurator);
 
-    // Exportiere die Klasse ins globale Window-Objekt
-    window.ComboClassConfigurator = ComboClassConfigurator;
-})();
+export { ComboClassConfigurator };
@@ -1,6 +1,7 @@
 /**
  * Tests for ComboClassConfigurator Class
  */
+import { ComboClassConfigurator } from './classConfig.js';
 
 describe('ComboClassConfigurator', () => {
   let configurator;
@@ -19,6 +20,7 @@ describe('ComboClassConfigurator', () => {
         eventName: "click",
         parentElement: ".parent-container",
         triggerElement: ".trigger-btn",
+        targetClass: ".trigger-btn",
         addClasses: ["active"],
         removeClasses: ["inactive"],
         callback: jest.fn()
@@ -67,16 +69,27 @@ describe('ComboClassConfigurator', () => {
   });
 
   describe('event handling', () => {
-    it('should handle click events correctly', () => {
+    // Classes are applied by the frame scheduler: the trigger is handled in one frame, the classes are set in the next.
+    const nextFrames = () => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+    afterEach(() => {
+      configurator.destroy();
+    });
+
+    it('should handle click events correctly', async () => {
       const trigger = document.querySelector('.trigger-btn');
       trigger.click();
+      await nextFrames();
       expect(trigger.classList.contains('active')).toBe(true);
+      expect(mockConfigs[0].callback).toHaveBeenCalledWith(trigger, "add");
     });
 
-    it('should handle hover events correctly', () => {
+    it('should handle hover events correctly', async () => {
+      configurator.destroy();
+      configurator = new ComboClassConfigurator([{ ...mockConfigs[0], eventName: "hover" }]);
       const trigger = document.querySelector('.trigger-btn');
-      const event = new Event('mouseenter');
-      trigger.dispatchEvent(event);
+      trigger.dispatchEvent(new Event('mouseenter'));
+      await nextFrames();
       expect(trigger.classList.contains('active')).toBe(true);
     });
   });
@@ -1,36 +1,78 @@
+import { scrollSourceRule } from "../core/scrollSource.js";
+
 /**
  * Default configuration options for ComboClassConfigurator.
  * @type {Object}
  */
-(function() {
-    window.defaultConfig = {
-        eventName: "click",
-        transitionTime: "0s",
-        removeTransitionTime: null,
-        easingMode: "ease",
-        entryThreshold: 0,
-        exitThreshold: null,
-        parentElement: "",
-        triggerElement: "",
-        once: false,
-        debounce: 0,
-        switchAction: false,
-        repeatConfiguration: 1,
-        triggerAttribut: "",
-        parentAttribute: "",
-        callback: null,
-        classesAdded: false,
-        start: 1,
-        end: 0,
-        frequency: 1,
-        addClasses: [],
-        removeClasses: [],
-        topAddClasses: []
-    };
+export const defaultConfig = {
+    eventName: "click",
+    transitionTime: "0s",
+    removeTransitionTime: null,
+    easingMode: "ease",
+    entryThreshold: 0,
+    exitThreshold: null,
+    parentElement: "",
+    triggerElement: "",
+    once: false,
+    debounce: 0,
+    switchAction: false,
+    repeatConfiguration: 1,
+    triggerAttribut: "",
+    parentAttribute: "",
+    callback: null,
+    classesAdded: false,
+    start: 1,
+    end: 0,
+    frequency: 1,
+    addClasses: [],
+    removeClasses: [],
+    topAddClasses: [],
+    scrollSource: null,
+    observeDOM: false,
+    enabled: true
+};
+
+/**
+ * Supported easing modes for transitions.
+ * @type {Array<string>}
+ */
+export const supportedEasings = ["ease", "ease-in", "ease-out", "ease-in-out"];
 
-    /**
-     * Supported easing modes for transitions.
-     * @type {Array<string>}
-     */
-    window.supportedEasings = ["ease", "ease-in", "ease-out", "ease-in-out"];
-})(); 
\ No newline at end of file
+/**
+ * Validation schema for ComboClassConfigurator configurations (see core/validator.js).
+ * Unknown keys are reported as warnings instead of being dropped silently.
+ * @type {Object}
+ */
+export const configSchema = {
+    eventName: {
+        type: "string",
+        check: value => ["click", "hover", "scrollInView"].includes(value) || value.includes(":")
+            ? null
+            : "must be \"click\", \"hover\", \"scrollInView\" or an event bus type such as \"toggle:open\"."
+    },
+    transitionTime: { type: "string" },
+    removeTransitionTime: { type: "string" },
+    easingMode: { type: "string", enum: supportedEasings },
+    entryThreshold: { type: "number", min: 0, max: 100 },
+    exitThreshold: { type: "number", min: 0, max: 100 },
+    parentElement: { type: ["string", "element"] },
+    triggerElement: { type: ["string", "element"] },
+    targetClass: { type: "string" },
+    once: { type: "boolean" },
+    debounce: { type: "number", min: 0 },
+    switchAction: { type: "boolean" },
+    repeatConfiguration: { type: "number", min: 1 },
+    triggerAttribut: { type: "string" },
+    parentAttribute: { type: "string" },
+    callback: { type: "function" },
+    classesAdded: { type: "boolean" },
+    start: { type: "number", min: 1 },
+    end: { type: "number", min: 0 },
+    frequency: { type: "number", min: 1 },
+    addClasses: { type: "array", items: "string" },
+    removeClasses: { type: "array", items: "string" },
+    topAddClasses: { type: "array", items: "string" },
+    scrollSource: scrollSourceRule,
+    observeDOM: { type: "boolean" },
+    enabled: { type: "boolean" }
+};
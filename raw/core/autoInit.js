@@ -0,0 +1,261 @@
+/**
+ * WFLib.autoInit
+ *
+ * Declarative loader that instantiates library components from custom attributes, so behaviour can be wired
+ * in the Webflow Designer's custom-attribute panel without writing any script blocks.
+ *
+ * Attributes:
+ * - data-wf-component (string): Name of the component to create (e.g. "typewriter", "toggle-height").
+ * - data-wf-* (string): Any other data-wf- attribute is converted into the matching camelCase option
+ *   (data-wf-character-hold="150" -> characterHold: 150). "true"/"false" become booleans, numeric values
+ *   become numbers and values starting with "[" or "{" are parsed as JSON. List options also accept a
+ *   comma-separated string.
+ * - data-wf-on (string): Connects WFLib event bus events to methods of the created instance, either as
+ *   comma-separated "event->method" pairs (data-wf-on="filter:change->refresh") or as a JSON object.
+ *
+ * Supported components:
+ * - dom-processor, scroll-manager, slider, filter, custom-cursor, typewriter, scroll-brightness,
+ *   span-fade-in-stagger, toggle-height, combo-class-configurator
+ *
+ * Element-bound options (targetParent, textIDs, pageWrapper, sliderDotParentId, containerClass, parentSelector,
+ * scrollTriggerClass/parentClass, triggerElement) default to the annotated element itself. An ID is generated
+ * for the element if it has none.
+ *
+ * The loader runs automatically once the DOM is ready. Call WFLib.autoInit(root) again for content that is
+ * inserted later; elements that already have an instance are skipped.
+ *
+ * Example markup:
+ * <div id="typeparent"
+ *      data-wf-component="typewriter"
+ *      data-wf-add-class="typewriter-style"
+ *      data-wf-text-array='["Hello World!", "Welcome to the demo."]'
+ *      data-wf-character-hold="150"></div>
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+import { connect } from './eventBus.js';
+import { getComponent } from './registry.js';
+
+const COMPONENT_ATTRIBUTE = 'data-wf-component';
+const ACTIONS_ATTRIBUTE = 'data-wf-on';
+const OPTION_PREFIX = 'data-wf-';
+const RESERVED_ATTRIBUTES = [COMPONENT_ATTRIBUTE, ACTIONS_ATTRIBUTE];
+
+const ensureId = (element, name) => {
+  if (!element.id) {
+    ensureId.counter = (ensureId.counter || 0) + 1;
+    element.id = `wf-${name}-${ensureId.counter}`;
+  }
+  return element.id;
+};
+
+const components = {
+  'dom-processor': {
+    className: 'DOMProcessor',
+    lists: ['sourceParentAttribute', 'targetParentAttribute'],
+    create: (Component, element, options) => {
+      if (typeof options.targetParentVisible === 'boolean') {
+        options.targetParentVisible = String(options.targetParentVisible);
+      }
+      return new Component(options);
+    }
+  },
+  'scroll-manager': {
+    className: 'ScrollManager',
+    lists: ['hoverTriggers', 'triggerElements', 'conditionElements'],
+    create: (Component, element, options) => new Component({
+      pageWrapper: ensureId(element, 'scroll-manager'),
+      ...options
+    })
+  },
+  'slider': {
+    className: 'Slider',
+    create: (Component, element, options) => new Component([{
+      sliderDotParentId: ensureId(element, 'slider'),
+      ...options
+    }])
+  },
+  'filter': {
+    className: 'Filter',
+    create: (Component, element, options) => new Component([{
+      containerClass: `#${ensureId(element, 'filter')}`,
+      ...options
+    }])
+  },
+  'custom-cursor': {
+    className: 'CustomCursor',
+    create: (Component, element, options) => new Component(options)
+  },
+  'typewriter': {
+    className: 'Typewriter',
+    lists: ['textArray'],
+    create: (Component, element, options) => new Component({
+      targetParent: ensureId(element, 'typewriter'),
+      ...options
+    })
+  },
+  'scroll-brightness': {
+    className: 'ScrollBrightness',
+    create: (Component, element, options) => {
+      const selector = `#${ensureId(element, 'scroll-brightness')}`;
+      return new Component({
+        scrollTriggerClass: selector,
+        parentClass: selector,
+        ...options
+      });
+    }
+  },
+  'span-fade-in-stagger': {
+    className: 'SpanFadeInStagger',
+    lists: ['textIDs'],
+    create: (Component, element, options) => new Component({
+      textIDs: [ensureId(element, 'span-fade-in-stagger')],
+      ...options
+    })
+  },
+  'toggle-height': {
+    className: 'ToggleHeight',
+    create: (Component, element, options) => new Component([{
+      parentSelector: `#${ensureId(element, 'toggle-height')}`,
+      ...options
+    }])
+  },
+  'combo-class-configurator': {
+    className: 'ComboClassConfigurator',
+    lists: ['addClasses', 'removeClasses', 'topAddClasses'],
+    create: (Component, element, options) => new Component([{
+      triggerElement: ensureId(element, 'combo-class-configurator'),
+      ...options
+    }])
+  }
+};
+
+const instances = new WeakMap();
+
+/**
+ * Converts an attribute value into a boolean, number, parsed JSON or plain string.
+ * @param {string} value - The raw attribute value.
+ * @param {string} name - The attribute name, used for warnings.
+ * @returns {*} The converted value.
+ */
+function parseValue(value, name) {
+  const trimmed = value.trim();
+  if (trimmed === '' || trimmed === 'true') return true;
+  if (trimmed === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) return parseFloat(trimmed);
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      console.warn(`WFLib: Attribute '${name}' contains invalid JSON. Using the raw string instead.`);
+    }
+  }
+  return value;
+}
+
+/**
+ * Reads all data-wf-* option attributes of an element into a config object.
+ * @param {HTMLElement} element - The annotated element.
+ * @param {Array<string>} lists - Option keys that expect an array.
+ * @returns {Object} The parsed options.
+ */
+function readOptions(element, lists = []) {
+  const options = {};
+  Array.from(element.attributes).forEach(({ name, value }) => {
+    if (!name.startsWith(OPTION_PREFIX) || RESERVED_ATTRIBUTES.includes(name)) return;
+    const key = name
+      .slice(OPTION_PREFIX.length)
+      .replace(/-([a-z0-9])/g, (match, char) => char.toUpperCase());
+    let parsed = parseValue(value, name);
+    if (lists.includes(key) && !Array.isArray(parsed)) {
+      parsed = String(parsed).split(',').map(item => item.trim()).filter(Boolean);
+    }
+    options[key] = parsed;
+  });
+  return options;
+}
+
+/**
+ * Reads the data-wf-on attribute into an event -> method map.
+ * @param {HTMLElement} element - The annotated element.
+ * @returns {Object<string, string>} The parsed actions.
+ */
+function readActions(element) {
+  const value = element.getAttribute(ACTIONS_ATTRIBUTE).trim();
+  if (value.startsWith('{')) {
+    const parsed = parseValue(value, ACTIONS_ATTRIBUTE);
+    return typeof parsed === 'object' ? parsed : {};
+  }
+  const actions = {};
+  value.split(',').forEach(pair => {
+    const [type, action] = pair.split('->').map(part => part.trim());
+    if (type && action) {
+      actions[type] = action;
+    } else if (pair.trim()) {
+      console.warn(`WFLib: Invalid ${ACTIONS_ATTRIBUTE} entry '${pair.trim()}'. Expected 'event->method'.`);
+    }
+  });
+  return actions;
+}
+
+/**
+ * Creates the component instance for a single annotated element.
+ * @param {HTMLElement} element - The annotated element.
+ * @returns {Object|null} The created (or already existing) instance.
+ */
+function initElement(element) {
+  if (instances.has(element)) return instances.get(element);
+
+  const name = element.getAttribute(COMPONENT_ATTRIBUTE).trim().toLowerCase();
+  const definition = components[name];
+  if (!definition) {
+    console.warn(`WFLib: Unknown component '${name}'.`, element);
+    return null;
+  }
+  const Component = getComponent(definition.className);
+  if (typeof Component !== 'function') {
+    console.warn(`WFLib: Component '${name}' requires ${definition.className} to be imported before initialization.`);
+    return null;
+  }
+
+  try {
+    const instance = definition.create(Component, element, readOptions(element, definition.lists));
+    instances.set(element, instance);
+    if (element.hasAttribute(ACTIONS_ATTRIBUTE)) {
+      connect(instance, readActions(element));
+    }
+    return instance;
+  } catch (error) {
+    console.error(`WFLib: Failed to initialize '${name}':`, error);
+    return null;
+  }
+}
+
+/**
+ * Scans the given root for data-wf-component elements and instantiates each component once.
+ * @param {Document|HTMLElement} root - The subtree to scan (default: document).
+ * @returns {Array<Object>} The instances found or created within the root.
+ */
+export function autoInit(root = document) {
+  const elements = Array.from(root.querySelectorAll(`[${COMPONENT_ATTRIBUTE}]`));
+  if (root instanceof Element && root.hasAttribute(COMPONENT_ATTRIBUTE)) {
+    elements.unshift(root);
+  }
+  return elements.map(initElement).filter(instance => instance !== null);
+}
+
+/**
+ * Returns the instance created for an element by autoInit, if any.
+ * @param {HTMLElement} element - The annotated element.
+ * @returns {Object|undefined} The component instance.
+ */
+export function getInstance(element) {
+  return instances.get(element);
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => autoInit());
+} else {
+  autoInit();
+}
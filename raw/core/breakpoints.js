@@ -0,0 +1,203 @@
+/**
+ * WFLib Breakpoints
+ *
+ * Lets every component option take a breakpoint map instead of a single value. Keys are Webflow's standard
+ * breakpoints or custom media queries; the value of the matching breakpoint is used and re-applied live when
+ * the viewport crosses a breakpoint.
+ *
+ * Breakpoints (cascading like in the Webflow Designer):
+ * - desktop: Base value, applies everywhere unless a more specific breakpoint overrides it.
+ * - tablet (<= 991px), mobileLandscape (<= 767px), mobilePortrait (<= 479px): Cascade down from desktop.
+ * - large (>= 1280px), xlarge (>= 1440px), xxlarge (>= 1920px): Cascade up from desktop.
+ * - Custom media queries (keys starting with "("): Take precedence over the named breakpoints; if several
+ *   match, the last one wins.
+ *
+ * Every component also accepts `enabled` (boolean or breakpoint map, default: true) to switch it off
+ * entirely at some breakpoints.
+ *
+ * Events (published on the WFLib event bus):
+ * - breakpoint:change: The named breakpoint changed ({ breakpoint, previous }).
+ *
+ * Example:
+ * new WFLib.ScrollManager({
+ *   scrollSpeed: { desktop: 100, tablet: 60, mobilePortrait: 30 },
+ *   enabled: { desktop: true, tablet: false }
+ * });
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+import * as eventBus from './eventBus.js';
+import * as scheduler from './scheduler.js';
+
+const BREAKPOINTS = {
+  desktop: null,
+  tablet: '(max-width: 991px)',
+  mobileLandscape: '(max-width: 767px)',
+  mobilePortrait: '(max-width: 479px)',
+  large: '(min-width: 1280px)',
+  xlarge: '(min-width: 1440px)',
+  xxlarge: '(min-width: 1920px)'
+};
+// The most specific breakpoint wins, desktop is the fallback.
+const PRIORITY = ['mobilePortrait', 'mobileLandscape', 'tablet', 'xxlarge', 'xlarge', 'large', 'desktop'];
+
+const mediaQueries = new Map();
+const watchers = new Set();
+let currentBreakpoint = null;
+let cancelFlush = null;
+
+function isMediaQuery(key) {
+  return key.trim().startsWith('(');
+}
+
+function flush() {
+  cancelFlush = null;
+  const previous = currentBreakpoint;
+  currentBreakpoint = getBreakpoint();
+  if (previous !== null && previous !== currentBreakpoint) {
+    eventBus.emit('breakpoint:change', { breakpoint: currentBreakpoint, previous });
+  }
+  Array.from(watchers).forEach(watcher => watcher());
+}
+
+// Several queries may change at once (e.g. rotating a phone), so their changes are applied in one frame.
+function scheduleFlush() {
+  if (!cancelFlush) {
+    cancelFlush = scheduler.mutate(flush);
+  }
+}
+
+function matches(query) {
+  if (query === null) return true;
+  if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') return false;
+  let mediaQuery = mediaQueries.get(query);
+  if (!mediaQuery) {
+    mediaQuery = window.matchMedia(query);
+    if (typeof mediaQuery.addEventListener === 'function') {
+      mediaQuery.addEventListener('change', scheduleFlush);
+    } else if (typeof mediaQuery.addListener === 'function') {
+      mediaQuery.addListener(scheduleFlush);
+    }
+    mediaQueries.set(query, mediaQuery);
+  }
+  return mediaQuery.matches;
+}
+
+function resolveObject(options) {
+  const resolved = {};
+  Object.keys(options).forEach(key => {
+    const value = resolveValue(options[key]);
+    if (value !== undefined) {
+      resolved[key] = value;
+    }
+  });
+  return resolved;
+}
+
+function hasBreakpointMaps(options) {
+  const list = Array.isArray(options) ? options : [options];
+  return list.some(item => item && typeof item === 'object' && Object.values(item).some(isBreakpointMap));
+}
+
+function isSame(a, b) {
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => isSame(item, b[index]));
+  }
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return Array.from(keys).every(key => a[key] === b[key]);
+}
+
+/**
+ * Whether a value is a breakpoint map, i.e. a non-empty plain object whose keys are all breakpoint names
+ * or media queries.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for breakpoint maps.
+ */
+export function isBreakpointMap(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  if (Object.getPrototypeOf(value) !== Object.prototype) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(key => key in BREAKPOINTS || isMediaQuery(key));
+}
+
+/**
+ * Returns the name of the currently matching Webflow breakpoint.
+ * @returns {string} E.g. 'desktop', 'tablet' or 'mobilePortrait'.
+ */
+export function getBreakpoint() {
+  return PRIORITY.find(name => matches(BREAKPOINTS[name]));
+}
+
+/**
+ * Resolves a single option value. Values that are no breakpoint maps are returned unchanged.
+ * @param {*} value - A plain value or a breakpoint map.
+ * @returns {*} The value for the current viewport, or undefined if no key of the map applies.
+ */
+export function resolveValue(value) {
+  if (!isBreakpointMap(value)) return value;
+  const queries = Object.keys(value).filter(isMediaQuery).filter(matches);
+  if (queries.length > 0) {
+    return value[queries[queries.length - 1]];
+  }
+  const name = PRIORITY.find(key => key in value && matches(BREAKPOINTS[key]));
+  return name === undefined ? undefined : value[name];
+}
+
+/**
+ * Resolves all breakpoint maps of an options object or an array of option objects. Options whose map has
+ * no value for the current viewport are left out, so the component default applies.
+ * @param {Object|Array<Object>} options - The options as passed to the component.
+ * @returns {Object|Array<Object>} The options for the current viewport.
+ */
+export function resolveOptions(options) {
+  if (Array.isArray(options)) {
+    return options.map(resolveOptions);
+  }
+  if (!options || typeof options !== 'object') return options;
+  return resolveObject(options);
+}
+
+/**
+ * Whether the resolved options of a component (or one of its configurations) are enabled.
+ * @param {Object} options - Resolved options.
+ * @returns {boolean} False if `enabled` is false for the current viewport.
+ */
+export function isEnabled(options) {
+  return !options || options.enabled !== false;
+}
+
+/**
+ * Calls a handler with the newly resolved options whenever a breakpoint change affects them. Options
+ * without breakpoint maps are never watched.
+ * @param {Object|Array<Object>} options - The options as passed to the component.
+ * @param {Function} handler - Called with the resolved options.
+ * @returns {Function} A function that stops watching.
+ */
+export function watchBreakpoints(options, handler) {
+  if (!hasBreakpointMaps(options)) return () => {};
+  let resolved = resolveOptions(options);
+  const watcher = () => {
+    const next = resolveOptions(options);
+    if (isSame(next, resolved)) return;
+    resolved = next;
+    handler(next);
+  };
+  if (currentBreakpoint === null) {
+    currentBreakpoint = getBreakpoint();
+  }
+  watchers.add(watcher);
+  return () => watchers.delete(watcher);
+}
+
+/**
+ * Subscribes to changes of the named breakpoint.
+ * @param {Function} handler - Called with ({ breakpoint, previous }).
+ * @returns {Function} A function that removes the subscription.
+ */
+export function onBreakpointChange(handler) {
+  if (currentBreakpoint === null) {
+    currentBreakpoint = getBreakpoint();
+  }
+  return eventBus.on('breakpoint:change', handler);
+}
@@ -0,0 +1,194 @@
+/**
+ * WFLib Debug Overlay
+ *
+ * Draws what the scroll-driven components measure directly on the page, to tune offsets and thresholds
+ * without trial and error:
+ * - ScrollBrightness: Start and end line of every trigger, the viewport bottom they are compared with and
+ *   the current progress of every group.
+ * - ComboClassConfigurator: Entry and exit threshold of every scrollInView trigger and how much of it is
+ *   visible.
+ * - SpanFadeInStagger: The intersection threshold of every text element.
+ * - ScrollManager: Whether scrolling is locked or unlocked.
+ *
+ * The overlay is enabled by adding `?wfdebug` to the page URL or by calling enableDebug(). Components take
+ * part by implementing getDebugInfo(), which returns { boxes: [{ rect, label }], lines: [{ y, left, width,
+ * label, type }], badges: [label] } in viewport coordinates. Instances are picked up from their events on
+ * the WFLib event bus, so components created before the overlay was enabled are shown as well. They are only
+ * held through weak references, so instances that are dropped without destroy() can still be garbage collected.
+ *
+ * Example:
+ * WFLib.enableDebug();
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+import * as eventBus from './eventBus.js';
+import * as scheduler from './scheduler.js';
+
+const COLORS = {
+  start: '#16a34a',
+  end: '#dc2626',
+  threshold: '#ea580c',
+  scroller: '#2563eb',
+  box: '#7c3aed'
+};
+
+const instanceRefs = new Set();
+const refsByInstance = new WeakMap();
+let overlay = null;
+let stopRead = null;
+let stopWrite = null;
+let items = [];
+let lastRender = '';
+
+eventBus.on('*', (detail, type) => {
+  const instance = detail && detail.instance;
+  if (!instance || typeof instance.getDebugInfo !== 'function') return;
+  if (type.endsWith(':destroy')) {
+    instanceRefs.delete(refsByInstance.get(instance));
+    refsByInstance.delete(instance);
+  } else if (!refsByInstance.has(instance)) {
+    const ref = new WeakRef(instance);
+    instanceRefs.add(ref);
+    refsByInstance.set(instance, ref);
+  }
+});
+
+function collect() {
+  items = [];
+  instanceRefs.forEach(ref => {
+    const instance = ref.deref();
+    if (!instance) {
+      instanceRefs.delete(ref);
+      return;
+    }
+    try {
+      items.push(instance.getDebugInfo());
+    } catch (error) {
+      console.error('WFLib: Error while collecting debug information:', error);
+    }
+  });
+}
+
+function createElement(styles, text) {
+  const element = document.createElement('div');
+  Object.assign(element.style, styles);
+  if (text) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+function createLabel(text, color, styles = {}) {
+  return createElement({
+    position: 'absolute',
+    background: color,
+    color: '#fff',
+    padding: '1px 4px',
+    whiteSpace: 'nowrap',
+    ...styles
+  }, text);
+}
+
+function render() {
+  const boxes = items.flatMap(info => info.boxes || []);
+  const lines = items.flatMap(info => info.lines || []);
+  const badges = items.flatMap(info => info.badges || []);
+  const key = JSON.stringify([
+    boxes.map(({ rect, label }) => [Math.round(rect.left), Math.round(rect.top), Math.round(rect.width), Math.round(rect.height), label]),
+    lines.map(({ y, left, width, label, type }) => [Math.round(y), left, width, label, type]),
+    badges
+  ]);
+  if (key === lastRender) return;
+  lastRender = key;
+
+  const fragment = document.createDocumentFragment();
+  boxes.forEach(({ rect, label }) => {
+    const box = createElement({
+      position: 'absolute',
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+      outline: `1px dashed ${COLORS.box}`
+    });
+    box.appendChild(createLabel(label, COLORS.box, { left: '0', bottom: '100%' }));
+    fragment.appendChild(box);
+  });
+  lines.forEach(({ y, left = 0, width = null, label, type = 'threshold' }) => {
+    const color = COLORS[type] || COLORS.threshold;
+    const line = createElement({
+      position: 'absolute',
+      top: `${y}px`,
+      left: `${left}px`,
+      width: width === null ? `calc(100% - ${left}px)` : `${width}px`,
+      borderTop: `1px solid ${color}`
+    });
+    line.appendChild(createLabel(label, color, { right: '0', bottom: '0' }));
+    fragment.appendChild(line);
+  });
+  const badgeList = createElement({ position: 'absolute', top: '8px', right: '8px' });
+  badges.forEach(label => {
+    badgeList.appendChild(createElement({
+      background: 'rgba(17, 24, 39, 0.85)',
+      color: '#fff',
+      padding: '4px 8px',
+      marginBottom: '4px',
+      borderRadius: '4px'
+    }, label));
+  });
+  fragment.appendChild(badgeList);
+
+  overlay.textContent = '';
+  overlay.appendChild(fragment);
+}
+
+/**
+ * Shows the debug overlay.
+ */
+export function enableDebug() {
+  if (overlay) return;
+  overlay = createElement({
+    position: 'fixed',
+    top: '0',
+    left: '0',
+    width: '100%',
+    height: '100%',
+    pointerEvents: 'none',
+    zIndex: '2147483647',
+    font: '11px/1.4 monospace'
+  });
+  overlay.setAttribute('data-wf-debug', '');
+  document.body.appendChild(overlay);
+  stopRead = scheduler.onFrame(collect, 'read');
+  stopWrite = scheduler.onFrame(render, 'write');
+}
+
+/**
+ * Removes the debug overlay.
+ */
+export function disableDebug() {
+  if (!overlay) return;
+  stopRead();
+  stopWrite();
+  overlay.remove();
+  overlay = null;
+  items = [];
+  lastRender = '';
+}
+
+/**
+ * Whether the debug overlay is shown.
+ * @returns {boolean} True while the overlay is enabled.
+ */
+export function isDebugEnabled() {
+  return overlay !== null;
+}
+
+if (typeof window !== 'undefined' && /[?&]wfdebug(=|&|$)/.test(window.location.search)) {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', enableDebug, { once: true });
+  } else {
+    enableDebug();
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * WFLib DOM Observer
+ *
+ * One shared MutationObserver for all components. Components that are created with `observeDOM: true`
+ * subscribe with a selector and get notified about matching elements that are added later (CMS load-more,
+ * pagination scripts, DOMProcessor clones) or removed, so they can bind and clean up those elements.
+ *
+ * Mutations are handled in batches: handlers are called at most once per batch with all matching elements,
+ * including matches nested inside added or removed subtrees. Elements that were only moved are reported as
+ * added, never as removed. Components keep their own bookkeeping to skip elements they already bound.
+ *
+ * Example:
+ * const unobserve = WFLib.observeDOM('.faq-question', {
+ *   added: elements => elements.forEach(bind),
+ *   removed: elements => elements.forEach(unbind)
+ * });
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+const subscriptions = new Set();
+let observer = null;
+
+function collectMatches(nodes, subscription) {
+  const matches = new Set();
+  nodes.forEach(node => {
+    if (node.matches(subscription.selector)) {
+      matches.add(node);
+    }
+    node.querySelectorAll(subscription.selector).forEach(el => matches.add(el));
+  });
+  return Array.from(matches);
+}
+
+function call(handler, elements, selector) {
+  if (!handler || elements.length === 0) return;
+  try {
+    handler(elements);
+  } catch (error) {
+    console.error(`WFLib: Error in DOM observer handler for '${selector}':`, error);
+  }
+}
+
+function handleMutations(mutations) {
+  const addedNodes = new Set();
+  const removedNodes = new Set();
+  mutations.forEach(mutation => {
+    mutation.addedNodes.forEach(node => node.nodeType === 1 && addedNodes.add(node));
+    mutation.removedNodes.forEach(node => node.nodeType === 1 && removedNodes.add(node));
+  });
+
+  Array.from(subscriptions).forEach(subscription => {
+    const { root, selector } = subscription;
+    const added = collectMatches(addedNodes, subscription)
+      .filter(el => el.isConnected && root.contains(el));
+    const removed = collectMatches(removedNodes, subscription)
+      .filter(el => !el.isConnected);
+    call(subscription.removed, removed, selector);
+    call(subscription.added, added, selector);
+  });
+}
+
+/**
+ * Subscribes to elements matching a selector being added to or removed from the DOM.
+ * @param {string} selector - CSS selector of the elements of interest.
+ * @param {Object} handlers - { added(elements), removed(elements), root (Element|Document, default: document) }.
+ * @returns {Function} A function that removes the subscription.
+ */
+export function observeDOM(selector, { added = null, removed = null, root = document } = {}) {
+  const subscription = { selector, added, removed, root };
+  subscriptions.add(subscription);
+  if (!observer) {
+    observer = new MutationObserver(handleMutations);
+    observer.observe(document.documentElement, { childList: true, subtree: true });
+  }
+  return () => {
+    subscriptions.delete(subscription);
+    if (subscriptions.size === 0 && observer) {
+      observer.disconnect();
+      observer = null;
+    }
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * WFLib Event Bus
+ *
+ * Small library-wide event emitter that lets components react to each other. Every component publishes
+ * namespaced events ("<namespace>:<event>") through it.
+ *
+ * Namespaces and events:
+ * - All components: init (render for domprocessor), pause, resume, refresh, destroy
+ * - slider: start, input, end
+ * - filter: apply, reset, change
+ * - cursor: enter, leave, down
+ * - typewriter: start, complete
+ * - brightness: progress, complete
+ * - stagger: reveal, reset
+ * - toggle: open, close
+ * - classconfig: add, remove
+ * - scroll: lock, unlock
+ * - domprocessor: render, page, complete
+ * - motion: change (published by the motion policy, without an instance)
+ * - breakpoint: change (published by the breakpoint module, without an instance)
+ * - scroll, cursor, typewriter, stagger: disable, enable (when `enabled` changes with the breakpoint)
+ *
+ * Every payload contains the publishing `instance` plus event specific data. Sub-instances of a component
+ * (e.g. the FilterInstances of a Filter) publish themselves as `instance` and reference the component as `owner`.
+ * Listeners may subscribe to an exact type, to a whole namespace ("filter:*") or to everything ("*").
+ *
+ * Example:
+ * const toggle = new ToggleHeight(toggleConfigs);
+ * WFLib.on('filter:change', ({ value }) => console.log(`Filter changed to ${value}`));
+ * WFLib.connect(toggle, { 'filter:change': 'refresh' });
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+const listeners = new Map();
+
+function isFromInstance(detail, instance) {
+  const source = detail && detail.instance;
+  return Boolean(source) && (source === instance || source.owner === instance);
+}
+
+/**
+ * Subscribes a handler to an event type, a namespace ("ns:*") or all events ("*").
+ * @param {string} type - The event type.
+ * @param {Function} handler - Called with (detail, type).
+ * @returns {Function} A function that removes the subscription.
+ */
+export function on(type, handler) {
+  if (typeof handler !== 'function') {
+    throw new Error(`WFLib: Handler for '${type}' must be a function.`);
+  }
+  if (!listeners.has(type)) {
+    listeners.set(type, new Set());
+  }
+  listeners.get(type).add(handler);
+  return () => off(type, handler);
+}
+
+/**
+ * Removes a handler that was added with on().
+ * @param {string} type - The event type.
+ * @param {Function} handler - The handler to remove.
+ */
+export function off(type, handler) {
+  const handlers = listeners.get(type);
+  if (!handlers) return;
+  handlers.delete(handler);
+  if (handlers.size === 0) {
+    listeners.delete(type);
+  }
+}
+
+/**
+ * Subscribes a handler that is removed after its first call.
+ * @param {string} type - The event type.
+ * @param {Function} handler - Called with (detail, type).
+ * @returns {Function} A function that removes the subscription.
+ */
+export function once(type, handler) {
+  const unsubscribe = on(type, (detail, eventType) => {
+    unsubscribe();
+    handler(detail, eventType);
+  });
+  return unsubscribe;
+}
+
+/**
+ * Publishes an event to all matching handlers. Errors in handlers are logged and do not stop the others.
+ * @param {string} type - The namespaced event type (e.g. "slider:input").
+ * @param {Object} detail - The event payload.
+ */
+export function emit(type, detail = {}) {
+  const namespace = type.split(':')[0];
+  [type, `${namespace}:*`, '*'].forEach(key => {
+    const handlers = listeners.get(key);
+    if (!handlers) return;
+    Array.from(handlers).forEach(handler => {
+      try {
+        handler(detail, type);
+      } catch (error) {
+        console.error(`WFLib: Error in '${key}' handler for '${type}':`, error);
+      }
+    });
+  });
+}
+
+/**
+ * Declaratively maps events to actions of a component instance. An action is either the name of a method
+ * on the instance (e.g. "refresh") or a function called with (instance, detail, type). Events of the instance
+ * itself and of its sub-instances are ignored. The connection is removed automatically when the instance or
+ * one of its sub-instances publishes its destroy event.
+ * @param {Object} instance - The component instance.
+ * @param {Object<string, string|Function>} actions - Map of event type to action.
+ * @returns {Function} A function that removes all connections.
+ */
+export function connect(instance, actions) {
+  const unsubscribers = Object.keys(actions).map(type => {
+    const action = actions[type];
+    return on(type, (detail, eventType) => {
+      if (isFromInstance(detail, instance)) return;
+      if (typeof action === 'function') {
+        action(instance, detail, eventType);
+      } else if (typeof instance[action] === 'function') {
+        instance[action]();
+      } else {
+        console.warn(`WFLib: Action '${action}' is not available on ${instance.constructor.name}.`);
+      }
+    });
+  });
+  const disconnect = () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  unsubscribers.push(on('*', (detail, type) => {
+    if (type.endsWith(':destroy') && isFromInstance(detail, instance)) {
+      disconnect();
+    }
+  }));
+  return disconnect;
+}
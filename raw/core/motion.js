@@ -0,0 +1,109 @@
+/**
+ * WFLib Motion Policy
+ *
+ * Library-wide reduced-motion handling. By default the policy follows the user's
+ * `prefers-reduced-motion` media query and reacts to it changing. Animated components read the policy through
+ * isReducedMotion() and switch to their fallback (instant reveal, native scroll, static text, native cursor).
+ *
+ * Policies:
+ * - 'auto' (default): Follow the prefers-reduced-motion media query.
+ * - 'reduce': Always use the reduced-motion fallbacks.
+ * - 'no-preference': Always animate.
+ *
+ * Every component also accepts a `reducedMotion` option ('auto', true or false) that overrides the policy
+ * for that instance only.
+ *
+ * Events (published on the WFLib event bus):
+ * - motion:change: The effective library-wide preference changed ({ reduced, policy }).
+ *
+ * Example:
+ * WFLib.setMotionPolicy('reduce');
+ * new WFLib.Typewriter({ ..., reducedMotion: false }); // keeps typing
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+import * as eventBus from './eventBus.js';
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+const POLICIES = ['auto', 'reduce', 'no-preference'];
+
+let policy = 'auto';
+let mediaQuery = null;
+let lastReduced = null;
+
+function getMediaQuery() {
+  if (!mediaQuery && typeof window !== 'undefined' && typeof window.matchMedia === 'function') {
+    mediaQuery = window.matchMedia(QUERY);
+    if (typeof mediaQuery.addEventListener === 'function') {
+      mediaQuery.addEventListener('change', notify);
+    } else if (typeof mediaQuery.addListener === 'function') {
+      mediaQuery.addListener(notify);
+    }
+  }
+  return mediaQuery;
+}
+
+function notify() {
+  const reduced = prefersReducedMotion();
+  if (reduced === lastReduced) return;
+  lastReduced = reduced;
+  eventBus.emit('motion:change', { reduced, policy });
+}
+
+/**
+ * Sets the library-wide motion policy.
+ * @param {string} value - 'auto', 'reduce' or 'no-preference'.
+ */
+export function setMotionPolicy(value) {
+  if (!POLICIES.includes(value)) {
+    console.warn(`WFLib: Invalid motion policy '${value}'. Expected one of: ${POLICIES.join(', ')}.`);
+    return;
+  }
+  lastReduced = prefersReducedMotion();
+  policy = value;
+  notify();
+}
+
+/**
+ * Returns the current library-wide motion policy.
+ * @returns {string} 'auto', 'reduce' or 'no-preference'.
+ */
+export function getMotionPolicy() {
+  return policy;
+}
+
+/**
+ * Whether motion should be reduced according to the library-wide policy.
+ * @returns {boolean} True if components should use their reduced-motion fallback.
+ */
+export function prefersReducedMotion() {
+  if (policy === 'reduce') return true;
+  if (policy === 'no-preference') return false;
+  const query = getMediaQuery();
+  return query ? query.matches : false;
+}
+
+/**
+ * Resolves the reduced-motion state of a single instance.
+ * @param {boolean|string} override - The instance's `reducedMotion` option: 'auto' (or undefined) follows
+ *   the library-wide policy, true always reduces, false never reduces.
+ * @returns {boolean} True if the instance should use its reduced-motion fallback.
+ */
+export function isReducedMotion(override = 'auto') {
+  if (override === true || override === 'reduce') return true;
+  if (override === false || override === 'no-preference') return false;
+  return prefersReducedMotion();
+}
+
+/**
+ * Subscribes to changes of the library-wide preference.
+ * @param {Function} handler - Called with ({ reduced, policy }).
+ * @returns {Function} A function that removes the subscription.
+ */
+export function onMotionChange(handler) {
+  if (lastReduced === null) {
+    lastReduced = prefersReducedMotion();
+  }
+  return eventBus.on('motion:change', handler);
+}
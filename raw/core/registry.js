@@ -0,0 +1,44 @@
+/**
+ * WFLib Registry
+ *
+ * Namespaced registry of all library components. Every component module registers its class here when it is
+ * imported, so the auto-initializer and the legacy compatibility shim can look components up by name instead
+ * of reading them off `window`.
+ *
+ * Example:
+ * import { getComponent } from './core/registry.js';
+ * const Slider = getComponent('Slider');
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+const components = new Map();
+
+/**
+ * Registers a component class under a name.
+ * @param {string} name - The public class name (e.g. "Slider").
+ * @param {Function} Component - The component class.
+ */
+export function register(name, Component) {
+  if (components.has(name) && components.get(name) !== Component) {
+    console.warn(`WFLib: Component '${name}' is already registered and will be replaced.`);
+  }
+  components.set(name, Component);
+}
+
+/**
+ * Returns a registered component class.
+ * @param {string} name - The public class name.
+ * @returns {Function|undefined} The component class.
+ */
+export function getComponent(name) {
+  return components.get(name);
+}
+
+/**
+ * Lists the names of all registered components.
+ * @returns {Array<string>} The registered names.
+ */
+export function listComponents() {
+  return Array.from(components.keys());
+}
@@ -0,0 +1,159 @@
+/**
+ * WFLib Frame Scheduler
+ *
+ * Shared requestAnimationFrame loop for all components. Every frame first runs all read tasks (measurements
+ * such as getBoundingClientRect or offsetWidth), then all write tasks (style and class mutations), so
+ * instances never interleave reads and writes and force extra layouts.
+ *
+ * Frame order:
+ * 1. Read phase: scroll and resize subscribers (once per frame, no matter how many events fired),
+ *    onFrame(..., 'read') loops and measure() tasks. Reads queued during this phase run in the same phase.
+ * 2. Write phase: onFrame(..., 'write') loops and mutate() tasks. Writes queued during this phase run in the
+ *    next frame.
+ *
+ * There is only one passive window scroll listener and one resize listener, added while they have
+ * subscribers. The loop only runs while there is work.
+ *
+ * Example:
+ * const unsubscribe = WFLib.onScroll(() => {
+ *   const top = element.getBoundingClientRect().top;
+ *   WFLib.mutate(() => element.classList.toggle('is-above', top < 0));
+ * });
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+const reads = [];
+const writes = [];
+const loops = { read: new Set(), write: new Set() };
+const scrollHandlers = new Set();
+const resizeHandlers = new Set();
+
+let frameId = null;
+let scrollPending = false;
+let resizePending = false;
+
+function run(task, timestamp) {
+  try {
+    task(timestamp);
+  } catch (error) {
+    console.error('WFLib: Error in scheduled frame task:', error);
+  }
+}
+
+function hasWork() {
+  return reads.length > 0 || writes.length > 0 || scrollPending || resizePending ||
+    loops.read.size > 0 || loops.write.size > 0;
+}
+
+function requestFrame() {
+  if (frameId === null && hasWork()) {
+    frameId = requestAnimationFrame(flush);
+  }
+}
+
+function flush(timestamp) {
+  frameId = null;
+
+  if (scrollPending) {
+    scrollPending = false;
+    Array.from(scrollHandlers).forEach(handler => run(handler, timestamp));
+  }
+  if (resizePending) {
+    resizePending = false;
+    Array.from(resizeHandlers).forEach(handler => run(handler, timestamp));
+  }
+  Array.from(loops.read).forEach(handler => run(handler, timestamp));
+  while (reads.length > 0) {
+    run(reads.shift(), timestamp);
+  }
+
+  Array.from(loops.write).forEach(handler => run(handler, timestamp));
+  writes.splice(0).forEach(task => run(task, timestamp));
+
+  requestFrame();
+}
+
+function queue(list, task) {
+  list.push(task);
+  requestFrame();
+  return () => {
+    const index = list.indexOf(task);
+    if (index !== -1) {
+      list.splice(index, 1);
+    }
+  };
+}
+
+function onScrollEvent() {
+  scrollPending = true;
+  requestFrame();
+}
+
+function onResizeEvent() {
+  resizePending = true;
+  requestFrame();
+}
+
+function subscribe(handlers, handler, eventType, listener) {
+  if (handlers.size === 0) {
+    window.addEventListener(eventType, listener, { passive: true });
+  }
+  handlers.add(handler);
+  return () => {
+    if (!handlers.delete(handler)) return;
+    if (handlers.size === 0) {
+      window.removeEventListener(eventType, listener, { passive: true });
+    }
+  };
+}
+
+/**
+ * Queues a one-time measurement for the read phase of the next frame.
+ * @param {Function} task - Called with the frame timestamp.
+ * @returns {Function} A function that cancels the task if it has not run yet.
+ */
+export function measure(task) {
+  return queue(reads, task);
+}
+
+/**
+ * Queues a one-time DOM mutation for the write phase. Mutations queued during a read phase run in the
+ * same frame, all others in the next frame.
+ * @param {Function} task - Called with the frame timestamp.
+ * @returns {Function} A function that cancels the task if it has not run yet.
+ */
+export function mutate(task) {
+  return queue(writes, task);
+}
+
+/**
+ * Runs a callback on every frame until it is stopped, e.g. for animation loops.
+ * @param {Function} callback - Called with the frame timestamp.
+ * @param {string} phase - 'read' or 'write' (default: 'write').
+ * @returns {Function} A function that stops the loop.
+ */
+export function onFrame(callback, phase = 'write') {
+  const loop = phase === 'read' ? loops.read : loops.write;
+  loop.add(callback);
+  requestFrame();
+  return () => loop.delete(callback);
+}
+
+/**
+ * Calls a handler once per frame (read phase) while the window is scrolled.
+ * @param {Function} handler - Called with the frame timestamp.
+ * @returns {Function} A function that removes the subscription.
+ */
+export function onScroll(handler) {
+  return subscribe(scrollHandlers, handler, 'scroll', onScrollEvent);
+}
+
+/**
+ * Calls a handler once per frame (read phase) while the window is resized.
+ * @param {Function} handler - Called with the frame timestamp.
+ * @returns {Function} A function that removes the subscription.
+ */
+export function onResize(handler) {
+  return subscribe(resizeHandlers, handler, 'resize', onResizeEvent);
+}
@@ -0,0 +1,95 @@
+/**
+ * WFLib Scroll Sources
+ *
+ * The scroll-driven components (ScrollBrightness, ComboClassConfigurator, SpanFadeInStagger) follow the
+ * window by default. With the `scrollSource` option they follow another scroller instead:
+ * - window (default).
+ * - An element or a selector, e.g. a scrollable panel. It is also used as root of the IntersectionObservers.
+ * - A scroll source such as a ScrollManager instance, which publishes its smoothed position every frame.
+ *   Its page wrapper covers the viewport, so the observers keep the viewport as root.
+ *
+ * A scroll source is any object with onScroll(handler) that returns a function to unsubscribe. Handlers
+ * are called once per frame in the read phase of the frame scheduler.
+ *
+ * Example:
+ * const scroller = new WFLib.ScrollManager({ pageWrapper: 'pagewrapper' });
+ * new WFLib.ScrollBrightness({ ...config, scrollSource: scroller });
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+import * as scheduler from './scheduler.js';
+
+function isScrollSource(value) {
+  return Boolean(value) && typeof value.onScroll === 'function';
+}
+
+function getWindowViewport() {
+  return { top: 0, bottom: window.innerHeight || document.documentElement.clientHeight };
+}
+
+function subscribeElement(element, handler) {
+  let cancel = null;
+  const listener = () => {
+    if (cancel) return;
+    cancel = scheduler.measure(timestamp => {
+      cancel = null;
+      handler(timestamp);
+    });
+  };
+  element.addEventListener('scroll', listener, { passive: true });
+  return () => {
+    element.removeEventListener('scroll', listener, { passive: true });
+    if (cancel) {
+      cancel();
+    }
+  };
+}
+
+/**
+ * Schema rule for the scrollSource option of the scroll-driven components (see core/validator.js).
+ * @type {Object}
+ */
+export const scrollSourceRule = {
+  type: ['string', 'element', 'object'],
+  check: value => (typeof value !== 'object' || value instanceof Element || value === window || isScrollSource(value)
+    ? null
+    : 'must be window, an element, a selector or a scroll source such as a ScrollManager instance.')
+};
+
+/**
+ * Resolves the scrollSource option of a component.
+ * @param {Window|Element|string|Object} [source] - window, an element, a selector or a scroll source.
+ * @returns {Object|null} { element, subscribe(handler), getViewport() }, where element is the root for
+ *   IntersectionObservers (null for the viewport), or null if the selector matches no element.
+ */
+export function resolveScrollSource(source) {
+  if (source === undefined || source === null || source === window) {
+    return { element: null, subscribe: handler => scheduler.onScroll(handler), getViewport: getWindowViewport };
+  }
+  if (isScrollSource(source)) {
+    return {
+      element: null,
+      // A disabled ScrollManager leaves the window scrolling natively, so the window is followed as well.
+      subscribe: handler => {
+        const unsubscribeSource = source.onScroll(handler);
+        const unsubscribeWindow = scheduler.onScroll(handler);
+        return () => {
+          unsubscribeSource();
+          unsubscribeWindow();
+        };
+      },
+      getViewport: getWindowViewport
+    };
+  }
+  const element = typeof source === 'string' ? document.querySelector(source) : source;
+  if (!(element instanceof Element)) return null;
+  return {
+    element,
+    subscribe: handler => subscribeElement(element, handler),
+    getViewport: () => {
+      const rect = element.getBoundingClientRect();
+      return { top: rect.top, bottom: rect.bottom };
+    }
+  };
+}
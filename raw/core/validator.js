@@ -0,0 +1,221 @@
+/**
+ * WFLib Options Validator
+ *
+ * Shared validation of component options against the schema every component declares as `static schema`.
+ * Problems are collected as structured diagnostics instead of scattered console messages and printed as one
+ * grouped table per page once the page has loaded (or on demand with printDiagnostics()).
+ *
+ * Schema rules (per option):
+ * - type (string|Array<string>): 'string', 'number', 'boolean', 'array', 'object', 'function', 'element'
+ *   or a list of allowed types.
+ * - required (boolean): The option must be set.
+ * - items (string): Type of the entries of an array option.
+ * - minItems (number): Minimum length of an array option.
+ * - enum (Array): Allowed values.
+ * - min / max (number): Allowed range of a number option.
+ * - check (Function): Custom check that returns a message for invalid values.
+ *
+ * Options may also be breakpoint maps (see core/breakpoints.js); every value of the map is checked.
+ *
+ * Missing required options and wrong types are errors; unknown options, values outside an enum or range and
+ * failed custom checks are warnings, because the components fall back to their defaults for those.
+ * In strict mode (setStrictValidation(true)) every error throws instead.
+ *
+ * Example:
+ * const { valid, errors, warnings } = WFLib.validate('Typewriter', options, WFLib.Typewriter.schema);
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+import { isBreakpointMap } from './breakpoints.js';
+
+const diagnostics = [];
+let printedCount = 0;
+let strictMode = false;
+let printScheduled = false;
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (typeof Element !== 'undefined' && value instanceof Element) return 'element';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function format(value) {
+  if (typeof value === 'string') return `"${value}"`;
+  if (typeof value === 'function') return 'function';
+  try {
+    return JSON.stringify(value);
+  } catch (error) {
+    return String(value);
+  }
+}
+
+function checkRule(rule, value, option, add) {
+  if (value === undefined || value === null) {
+    if (rule.required) {
+      add('error', option, `Missing required option '${option}'.`, value);
+    }
+    return;
+  }
+
+  if (isBreakpointMap(value)) {
+    Object.keys(value).forEach(key => checkRule(rule, value[key], `${option}.${key}`, add));
+    return;
+  }
+
+  const types = [].concat(rule.type || []);
+  const actualType = typeOf(value);
+  if (types.length > 0 && !types.includes(actualType)) {
+    add('error', option, `'${option}' must be of type ${types.join(' or ')}, got ${actualType}.`, value);
+    return;
+  }
+
+  if (actualType === 'array') {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      add('error', option, `'${option}' must contain at least ${rule.minItems} item(s).`, value);
+    }
+    if (rule.items) {
+      value.forEach((item, index) => {
+        if (typeOf(item) !== rule.items) {
+          add('error', `${option}[${index}]`, `'${option}[${index}]' must be of type ${rule.items}, got ${typeOf(item)}.`, item);
+        }
+      });
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    add('warning', option, `'${option}' must be one of ${rule.enum.map(format).join(', ')}, got ${format(value)}.`, value);
+  }
+
+  if (actualType === 'number') {
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+      const range = rule.max === undefined ? `>= ${rule.min}` : rule.min === undefined ? `<= ${rule.max}` : `between ${rule.min} and ${rule.max}`;
+      add('warning', option, `'${option}' must be ${range}, got ${value}.`, value);
+    }
+  }
+
+  if (rule.check) {
+    const message = rule.check(value);
+    if (message) {
+      add('warning', option, `'${option}' ${message}`, value);
+    }
+  }
+}
+
+function schedulePrint() {
+  if (printScheduled || typeof window === 'undefined') return;
+  printScheduled = true;
+  const print = () => {
+    printScheduled = false;
+    printDiagnostics();
+  };
+  if (document.readyState === 'complete') {
+    setTimeout(print, 0);
+  } else {
+    window.addEventListener('load', () => setTimeout(print, 0), { once: true });
+  }
+}
+
+function record(entries) {
+  if (entries.length === 0) return;
+  diagnostics.push(...entries);
+  schedulePrint();
+}
+
+/**
+ * Validates an options object against a component schema.
+ * @param {string} component - The component name used in the report (e.g. "Slider").
+ * @param {Object} options - The options to validate.
+ * @param {Object} schema - Map of option name to rule.
+ * @param {string} path - Optional prefix for option names (e.g. "configs[1]").
+ * @returns {{ valid: boolean, errors: Array<Object>, warnings: Array<Object> }} The diagnostics of this call.
+ * @throws {Error} In strict mode, if there are errors.
+ */
+export function validate(component, options, schema, path = '') {
+  const entries = [];
+  const add = (level, option, message, value) => {
+    entries.push({ component, option: path ? `${path}.${option}` : option, level, message, value });
+  };
+
+  if (typeOf(options) !== 'object') {
+    add('error', '(options)', `Options must be an object, got ${typeOf(options)}.`, options);
+  } else {
+    Object.keys(schema).forEach(option => checkRule(schema[option], options[option], option, add));
+    Object.keys(options)
+      .filter(option => !Object.prototype.hasOwnProperty.call(schema, option))
+      .forEach(option => add('warning', option, `Unknown option '${option}' is ignored.`, options[option]));
+  }
+
+  const errors = entries.filter(entry => entry.level === 'error');
+  const warnings = entries.filter(entry => entry.level === 'warning');
+  if (strictMode && errors.length > 0) {
+    const lines = errors.map(entry => `- ${entry.option}: ${entry.message}`).join('\n');
+    throw new Error(`WFLib: Invalid ${component} options:\n${lines}`);
+  }
+  record(entries);
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Records a problem that is only detected at runtime (e.g. a configured element that does not exist).
+ * @param {string} component - The component name.
+ * @param {string} level - 'error' or 'warning'.
+ * @param {string} option - The option the problem relates to.
+ * @param {string} message - The description.
+ */
+export function reportDiagnostic(component, level, option, message) {
+  record([{ component, option, level, message, value: undefined }]);
+}
+
+/**
+ * Enables or disables strict mode, in which validation errors throw.
+ * @param {boolean} enabled - Whether strict mode is enabled.
+ */
+export function setStrictValidation(enabled) {
+  strictMode = Boolean(enabled);
+}
+
+/**
+ * Whether strict mode is enabled.
+ * @returns {boolean} True in strict mode.
+ */
+export function isStrictValidation() {
+  return strictMode;
+}
+
+/**
+ * Returns all diagnostics collected so far.
+ * @returns {Array<Object>} Entries with component, option, level, message and value.
+ */
+export function getDiagnostics() {
+  return diagnostics.slice();
+}
+
+/**
+ * Removes all collected diagnostics.
+ */
+export function clearDiagnostics() {
+  diagnostics.length = 0;
+  printedCount = 0;
+}
+
+/**
+ * Prints the diagnostics that were not printed yet as one table grouped by component.
+ * @param {boolean} all - If true, prints all diagnostics again.
+ */
+export function printDiagnostics(all = false) {
+  const entries = diagnostics.slice(all ? 0 : printedCount);
+  printedCount = diagnostics.length;
+  if (entries.length === 0) return;
+
+  const errorCount = entries.filter(entry => entry.level === 'error').length;
+  const rows = entries
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => a.entry.component.localeCompare(b.entry.component) || a.index - b.index)
+    .map(({ entry }) => ({ component: entry.component, option: entry.option, level: entry.level, message: entry.message }));
+
+  console.group(`WFLib: ${errorCount} error(s) and ${entries.length - errorCount} warning(s) in component options`);
+  console.table(rows);
+  console.groupEnd();
+}
@@ -0,0 +1,54 @@
+/**
+ * Tests for the WFLib Options Validator
+ */
+import { validate, setStrictValidation, getDiagnostics, clearDiagnostics } from './validator.js';
+
+describe('validate', () => {
+  const schema = {
+    target: { type: 'string', required: true },
+    items: { type: 'array', items: 'string' },
+    easing: { type: 'string', enum: ['ease', 'ease-in'] },
+    threshold: { type: 'number', min: 0, max: 100 },
+    exitThreshold: { type: 'number', min: 0, max: 100 }
+  };
+
+  afterEach(() => {
+    setStrictValidation(false);
+    clearDiagnostics();
+  });
+
+  it('should accept valid options and treat null as not set', () => {
+    const result = validate('Test', { target: '#a', items: ['x'], threshold: 50, exitThreshold: null }, schema);
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toHaveLength(0);
+  });
+
+  it('should report missing required options and wrong types as errors', () => {
+    const { valid, errors } = validate('Test', { items: ['x', 1] }, schema, 'configs[0]');
+    expect(valid).toBe(false);
+    expect(errors.map(error => error.option)).toEqual(['configs[0].target', 'configs[0].items[1]']);
+  });
+
+  it('should report enum, range and unknown keys as warnings', () => {
+    const { valid, warnings } = validate('Test', { target: '#a', easing: 'linear', threshold: 150, zielKlase: '.x' }, schema);
+    expect(valid).toBe(true);
+    expect(warnings.map(warning => warning.option)).toEqual(['easing', 'threshold', 'zielKlase']);
+  });
+
+  it('should check every value of a breakpoint map', () => {
+    const { valid, warnings } = validate('Test', { target: { desktop: '#a', tablet: '#b' }, threshold: { desktop: 50, mobilePortrait: 150 } }, schema);
+    expect(valid).toBe(true);
+    expect(warnings.map(warning => warning.option)).toEqual(['threshold.mobilePortrait']);
+  });
+
+  it('should collect diagnostics across calls', () => {
+    validate('Test', {}, schema);
+    validate('Other', { target: 1 }, schema);
+    expect(getDiagnostics().map(entry => entry.component)).toEqual(['Test', 'Other']);
+  });
+
+  it('should throw in strict mode', () => {
+    setStrictValidation(true);
+    expect(() => validate('Test', {}, schema)).toThrow("Missing required option 'target'.");
+  });
+});
@@ -9,6 +9,25 @@
  * - downArray (Array<Object>): Array of objects defining mousedown triggers (each with 'trigger' and 'hoverstyle').
  * - dragTimer (number): Smoothing factor for cursor movement (default: 50).
  * - downTime (number): Duration in ms to hold the mousedown effect (default: 300).
+ * - reducedMotion (boolean|string): 'auto' follows the WFLib motion policy, true/false force or ignore the
+ *   reduced-motion fallback (default: 'auto'). With reduced motion the native cursor is used.
+ * - observeDOM (boolean): If true, triggers added to the DOM later are bound and removed ones are
+ *   unbound automatically (default: false).
+ * - enabled (boolean): If false, the native cursor is used (default: true).
+ *
+ * Every option also accepts a breakpoint map (see core/breakpoints.js), e.g.
+ * enabled: { desktop: true, tablet: false } to keep the native cursor on touch-sized viewports.
+ *
+ * Lifecycle:
+ * - destroy(): Removes the cursor element, all listeners, the animation loop and pending timers.
+ * - refresh(): Re-binds hover and mousedown triggers to the elements currently in the DOM.
+ * - pause() / resume(): Stops and restarts the animation loop and hides the cursor in between.
+ *
+ * Events (published as "cursor:<event>" on the WFLib event bus):
+ * - enter, leave: Hover over a hoverArray trigger ({ element, hoverstyle }).
+ * - down: Mousedown on a downArray trigger ({ element, hoverstyle }).
+ * - disable, enable: `enabled` changed with the breakpoint.
+ * - init, pause, resume, refresh, destroy
  *
  * Example instantiation (asynchron sicher):
  * window.addEventListener('DOMContentLoaded', () => {
@@ -24,27 +43,78 @@
  * @version 1.0.0
  * @license MIT
  */
+import * as eventBus from './core/eventBus.js';
+import { register } from './core/registry.js';
+import { isReducedMotion, onMotionChange } from './core/motion.js';
+import { observeDOM } from './core/domObserver.js';
+import * as scheduler from './core/scheduler.js';
+import { validate } from './core/validator.js';
+import { resolveOptions, watchBreakpoints, isEnabled } from './core/breakpoints.js';
+
 class CustomCursor {
-  constructor({ 
-    cursorClass = 'custom-cursor', 
-    hoverArray = [], 
-    downArray = [], 
-    dragTimer = 50, 
-    downTime = 300 
-  } = {}) {
-    this.config = { cursorClass, hoverArray, downArray, dragTimer, downTime };
+  constructor(options = {}) {
+    validate('CustomCursor', options, CustomCursor.schema);
+    this.applyOptions(resolveOptions(options));
+    this.unwatchBreakpoints = watchBreakpoints(options, resolved => this.applyBreakpoint(resolved));
+    this.isPaused = false;
+    this.isReducedMotion = isReducedMotion(this.config.reducedMotion);
+    this.motionUnsubscribe = onMotionChange(() => this.applyMotionPreference());
+    this.stopLoop = null;
+    this.triggerListeners = [];
+    this.timeouts = new Set();
+    this.init = this.init.bind(this);
     if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => this.init());
+      document.addEventListener('DOMContentLoaded', this.init);
     } else {
       this.init();
     }
   }
   
+  applyOptions(options) {
+    const {
+      cursorClass = 'custom-cursor',
+      hoverArray = [],
+      downArray = [],
+      dragTimer = 50,
+      downTime = 300,
+      reducedMotion = 'auto',
+      observeDOM = false
+    } = options;
+    this.config = { cursorClass, hoverArray, downArray, dragTimer, downTime, reducedMotion, observeDOM };
+    this.isEnabled = isEnabled(options);
+  }
+  
+  applyBreakpoint(options) {
+    const wasEnabled = this.isEnabled;
+    const previous = this.config;
+    this.applyOptions(options);
+    this.applyMotionPreference();
+    if (document.readyState === 'loading') return;
+    if (wasEnabled && !this.isEnabled) {
+      this.teardown();
+      this.emit('disable');
+    } else if (!wasEnabled && this.isEnabled) {
+      this.init();
+      this.emit('enable');
+    } else if (this.cursor) {
+      this.dragTimer = this.config.dragTimer;
+      this.downTime = this.config.downTime;
+      const keys = ['cursorClass', 'hoverArray', 'downArray', 'observeDOM'];
+      if (keys.some(key => previous[key] !== this.config[key])) {
+        // Rebuild the cursor for the new triggers, it keeps following the mouse from where it is.
+        const { mouseX, mouseY, cursorX, cursorY } = this;
+        this.teardown();
+        this.init();
+        Object.assign(this, { mouseX, mouseY, cursorX, cursorY });
+      }
+    }
+  }
+  
   init() {
+    if (!this.isEnabled) return;
     this.cursor = document.createElement('div');
     this.cursor.classList.add(this.config.cursorClass);
     document.body.appendChild(this.cursor);
-    document.body.style.cursor = 'none';
   
     Object.assign(this, {
       hoverArray: this.config.hoverArray,
@@ -68,9 +138,18 @@ class CustomCursor {
     document.addEventListener('mouseout', this.mouseOutHandler);
     document.addEventListener('mouseover', this.mouseOverHandler);
   
-    this.animate();
+    this.animate = this.animate.bind(this);
+    if (!this.isReducedMotion && !this.isPaused) {
+      this.showCursor();
+    } else {
+      this.hideCursor();
+    }
     this.setupEvents();
     this.setupMobileHandling();
+    if (this.config.observeDOM) {
+      this.observeTriggers();
+    }
+    this.emit('init');
   }
   
   onMouseMove(event) {
@@ -91,44 +170,118 @@ class CustomCursor {
     this.cursorX += deltaX * (this.dragTimer / 100);
     this.cursorY += deltaY * (this.dragTimer / 100);
     this.cursor.style.transform = `translate(${this.cursorX}px, ${this.cursorY}px) translate(-50%, -50%)`;
-    requestAnimationFrame(this.animate.bind(this));
+  }
+  
+  setTimer(callback, delay) {
+    const id = setTimeout(() => {
+      this.timeouts.delete(id);
+      callback();
+    }, delay);
+    this.timeouts.add(id);
+    return id;
+  }
+  
+  emit(type, detail = {}) {
+    eventBus.emit(`cursor:${type}`, { instance: this, ...detail });
+  }
+  
+  showCursor() {
+    this.cursor.style.display = '';
+    document.body.style.cursor = 'none';
+    if (!this.stopLoop) {
+      this.stopLoop = scheduler.onFrame(this.animate);
+    }
+  }
+  
+  hideCursor() {
+    this.stopAnimation();
+    this.cursor.style.display = 'none';
+    document.body.style.cursor = '';
+  }
+  
+  stopAnimation() {
+    if (this.stopLoop) {
+      this.stopLoop();
+      this.stopLoop = null;
+    }
+  }
+  
+  applyMotionPreference() {
+    const reduced = isReducedMotion(this.config.reducedMotion);
+    if (reduced === this.isReducedMotion) return;
+    this.isReducedMotion = reduced;
+    if (!this.cursor || this.isPaused) return;
+    if (reduced) {
+      this.hideCursor();
+    } else {
+      this.showCursor();
+    }
+  }
+  
+  addTriggerListener(el, eventType, listener) {
+    el.addEventListener(eventType, listener);
+    this.triggerListeners.push({ el, eventType, listener });
+  }
+  
+  getTriggerSelector() {
+    return this.hoverArray.concat(this.downArray).map(({ trigger }) => `.${trigger}`).join(', ');
   }
   
   setupEvents() {
-    const addEventListeners = (array, eventType, handler) => {
-      array.forEach(({ trigger, hoverstyle }) => {
-        document.querySelectorAll(`.${trigger}`).forEach(el => {
-          el.addEventListener(eventType, () => handler(el, hoverstyle));
-        });
-      });
-    };
+    const selector = this.getTriggerSelector();
+    if (!selector) return;
+    document.querySelectorAll(selector).forEach(el => this.bindTrigger(el));
+  }
   
-    addEventListeners(this.hoverArray, 'mouseenter', (el, hoverstyle) => {
-      this.isHover = true;
-      this.cursor.classList.add(hoverstyle);
+  bindTrigger(el) {
+    if (this.triggerListeners.some(entry => entry.el === el)) return;
+    this.hoverArray.forEach(({ trigger, hoverstyle }) => {
+      if (!el.classList.contains(trigger)) return;
+      this.addTriggerListener(el, 'mouseenter', () => {
+        this.isHover = true;
+        this.cursor.classList.add(hoverstyle);
+        this.emit('enter', { element: el, hoverstyle });
+      });
+      this.addTriggerListener(el, 'mouseleave', () => {
+        this.isHover = false;
+        this.cursor.classList.remove(hoverstyle);
+        this.emit('leave', { element: el, hoverstyle });
+      });
     });
-    addEventListeners(this.hoverArray, 'mouseleave', (el, hoverstyle) => {
-      this.isHover = false;
-      this.cursor.classList.remove(hoverstyle);
+    this.downArray.forEach(({ trigger, hoverstyle }) => {
+      if (!el.classList.contains(trigger)) return;
+      this.addTriggerListener(el, 'mousedown', () => this.handleMouseDown(el, hoverstyle));
     });
+  }
   
-    this.downArray.forEach(({ trigger, hoverstyle }) => {
-      document.querySelectorAll(`.${trigger}`).forEach(el => {
-        el.addEventListener('mousedown', () => this.handleMouseDown(el, hoverstyle));
-      });
+  unbindTrigger(el) {
+    this.triggerListeners = this.triggerListeners.filter(entry => {
+      if (entry.el !== el) return true;
+      el.removeEventListener(entry.eventType, entry.listener);
+      return false;
+    });
+  }
+  
+  observeTriggers() {
+    const selector = this.getTriggerSelector();
+    if (!selector) return;
+    this.unobserveTriggers = observeDOM(selector, {
+      added: elements => elements.forEach(el => this.bindTrigger(el)),
+      removed: elements => elements.forEach(el => this.unbindTrigger(el))
     });
   }
   
   handleMouseDown(el, hoverstyle) {
     this.isDown = true;
     this.cursor.classList.add(hoverstyle);
+    this.emit('down', { element: el, hoverstyle });
     const startTime = Date.now();
   
     const handleMouseUpOrLeave = () => {
       this.isDown = false;
       const elapsed = Date.now() - startTime;
       const delay = elapsed >= this.downTime ? 0 : this.downTime - elapsed;
-      setTimeout(() => {
+      this.setTimer(() => {
         if (!this.isDown) this.cursor.classList.remove(hoverstyle);
       }, delay);
       el.removeEventListener('mouseup', handleMouseUpOrLeave);
@@ -157,25 +310,17 @@ class CustomCursor {
   
     document.querySelectorAll(cursorSelector).forEach(initializeCursorElement);
   
-    new MutationObserver(mutations => {
-      mutations.forEach(({ addedNodes }) => {
-        addedNodes.forEach(node => {
-          if (node.nodeType === 1) {
-            [node, ...node.querySelectorAll(cursorSelector)].forEach(el => {
-              initializeCursorElement(el);
-            });
-          }
-        });
-      });
-    }).observe(document.body, { childList: true, subtree: true });
+    this.unobserveCursors = observeDOM(cursorSelector, {
+      added: elements => elements.forEach(initializeCursorElement)
+    });
   
-    const handleTouchStart = ({ touches }) => {
+    this.touchStartHandler = ({ touches }) => {
       if (touches.length > 1) return;
       const touch = touches[0];
       touchStart = { x: touch.clientX, y: touch.clientY, time: Date.now() };
     };
   
-    const handleTouchEnd = ({ changedTouches }) => {
+    this.touchEndHandler = ({ changedTouches }) => {
       if (changedTouches.length > 1) return;
       const touch = changedTouches[0];
       const { x: endX, y: endY, time: endTime } = { x: touch.clientX, y: touch.clientY, time: Date.now() };
@@ -188,8 +333,8 @@ class CustomCursor {
       }
     };
   
-    document.addEventListener('touchstart', handleTouchStart, { passive: true });
-    document.addEventListener('touchend', handleTouchEnd, { passive: true });
+    document.addEventListener('touchstart', this.touchStartHandler, { passive: true });
+    document.addEventListener('touchend', this.touchEndHandler, { passive: true });
   }
   
   isTouchDevice() {
@@ -199,15 +344,88 @@ class CustomCursor {
   triggerCursorEffect() {
     const cursors = document.querySelectorAll(`.${this.config.cursorClass}`);
     cursors.forEach(cursor => cursor.style.opacity = '1');
-    setTimeout(() => cursors.forEach(cursor => cursor.style.opacity = '0'), 500);
+    this.setTimer(() => cursors.forEach(cursor => cursor.style.opacity = '0'), 500);
   }
   
-  destroy() {
+  removeTriggerListeners() {
+    this.triggerListeners.forEach(({ el, eventType, listener }) => el.removeEventListener(eventType, listener));
+    this.triggerListeners = [];
+  }
+  
+  refresh() {
+    if (!this.cursor) return;
+    this.removeTriggerListeners();
+    this.hoverArray.concat(this.downArray).forEach(({ hoverstyle }) => this.cursor.classList.remove(hoverstyle));
+    this.isHover = false;
+    this.isDown = false;
+    this.setupEvents();
+    this.emit('refresh');
+  }
+  
+  pause() {
+    if (this.isPaused || !this.cursor) return;
+    this.isPaused = true;
+    if (!this.isReducedMotion) {
+      this.hideCursor();
+    }
+    this.emit('pause');
+  }
+  
+  resume() {
+    if (!this.isPaused || !this.cursor) return;
+    this.isPaused = false;
+    if (!this.isReducedMotion) {
+      this.showCursor();
+    }
+    this.emit('resume');
+  }
+  
+  teardown() {
+    if (!this.cursor) return;
+    this.stopAnimation();
+    this.timeouts.forEach(id => clearTimeout(id));
+    this.timeouts.clear();
+    this.removeTriggerListeners();
+    if (this.unobserveTriggers) {
+      this.unobserveTriggers();
+      this.unobserveTriggers = null;
+    }
+    if (this.unobserveCursors) {
+      this.unobserveCursors();
+      this.unobserveCursors = null;
+    }
+    document.removeEventListener('touchstart', this.touchStartHandler);
+    document.removeEventListener('touchend', this.touchEndHandler);
     this.cursor.remove();
+    this.cursor = null;
     document.body.style.cursor = '';
     document.removeEventListener('mousemove', this.mouseMoveHandler);
     document.removeEventListener('mouseout', this.mouseOutHandler);
     document.removeEventListener('mouseover', this.mouseOverHandler);
   }
+  
+  destroy() {
+    document.removeEventListener('DOMContentLoaded', this.init);
+    this.motionUnsubscribe();
+    this.unwatchBreakpoints();
+    if (this.cursor) {
+      this.teardown();
+    }
+    // Also published when the cursor was never set up, so connections and debug registrations are released.
+    this.emit('destroy');
+  }
 }
-window.CustomCursor = CustomCursor;
+
+CustomCursor.schema = {
+  cursorClass: { type: 'string' },
+  hoverArray: { type: 'array', items: 'object' },
+  downArray: { type: 'array', items: 'object' },
+  dragTimer: { type: 'number', min: 1, max: 100 },
+  downTime: { type: 'number', min: 0 },
+  reducedMotion: { type: ['boolean', 'string'], enum: ['auto', true, false] },
+  observeDOM: { type: 'boolean' },
+  enabled: { type: 'boolean' }
+};
+register('CustomCursor', CustomCursor);
+
+export { CustomCursor };
@@ -9,6 +9,22 @@
  * - slideElementId (string): The ID of the slide element.
  * - initialPositionPercentage (number): Initial position as a percentage (0-100).
  * - frameRateSliderElement (number): Frame rate (FPS) for slider movement (default: 60).
+ * - observeDOM (boolean): If true, the slider is bound as soon as its elements are added to the DOM later
+ *   (e.g. CMS content or DOMProcessor clones) and unbound when they are removed (default: false).
+ * - enabled (boolean): If false, the slider is not bound (default: true).
+ *
+ * Every option also accepts a breakpoint map (see core/breakpoints.js), e.g.
+ * initialPositionPercentage: { desktop: 25, mobilePortrait: 50 }. Sliders are reset to their initial
+ * position when the breakpoint changes the options.
+ *
+ * Lifecycle:
+ * - destroy(): Removes all listeners and resets the inline positions and cursors.
+ * - refresh(): Re-queries the slider elements, re-measures them and restores the initial position.
+ * - pause() / resume(): Ignores and re-accepts dragging.
+ *
+ * Events (published as "slider:<event>" on the WFLib event bus):
+ * - start, input, end: Dragging of a slider dot ({ sliderDotId, percentage }).
+ * - init, pause, resume, refresh, destroy
  *
  * Example instantiation (asynchron sicher):
  * window.addEventListener('DOMContentLoaded', () => {
@@ -27,84 +43,156 @@
  * @version 1.0.0
  * @license MIT
  */
+import * as eventBus from "./core/eventBus.js";
+import { register } from "./core/registry.js";
+import * as scheduler from "./core/scheduler.js";
+import { observeDOM } from "./core/domObserver.js";
+import { validate, reportDiagnostic } from "./core/validator.js";
+import { resolveOptions, watchBreakpoints, isEnabled } from "./core/breakpoints.js";
+
 class Slider {
   constructor(configs) {
     if (!Array.isArray(configs)) {
       throw new Error("Invalid sliderConfigs parameter. Expected an array.");
     }
+    configs.forEach((config, index) => validate("Slider", config, Slider.schema, `configs[${index}]`));
   
-    this.sliders = configs.map(config => ({
+    this.sliders = this.buildSliders(resolveOptions(configs));
+    this.unwatchBreakpoints = watchBreakpoints(configs, resolved => this.applyBreakpoint(resolved));
+  
+    this.isPaused = false;
+    this.isDestroyed = false;
+    this.init = this.init.bind(this);
+    this._ready(this.init);
+  
+    this.handleResize = () => {
+      if (this.isDestroyed) return;
+      const sliders = this.sliders.filter(slider => slider.dot && slider.parent && slider.slide);
+      sliders.forEach(slider => this.updateDimensions(slider));
+      scheduler.mutate(() => {
+        sliders.forEach(slider => {
+          if (slider.dot) {
+            this.setInitialPosition(slider, slider.dot, slider.parent, slider.slide);
+          }
+        });
+      });
+    };
+  
+    this.unsubscribeResize = scheduler.onResize(this.handleResize);
+  }
+  
+  buildSliders(configs) {
+    return configs.filter(isEnabled).map(config => ({
       sliderDotId: "",
       sliderDotParentId: "",
       slideElementId: "",
       initialPositionPercentage: 0,
       frameRateSliderElement: 60,
+      observeDOM: false,
       ...config,
       dot: null,
       parent: null,
-      slide: null
+      slide: null,
+      unobserve: null
     }));
+  }
   
-    this.init = this.init.bind(this);
-    this._ready(this.init);
-  
-    this.debouncedResize = this.debounce(() => {
-      this.sliders.forEach(slider => {
-        if (slider.dot && slider.parent && slider.slide) {
-          this.updateDimensions(slider);
-          this.setInitialPosition(slider, slider.dot, slider.parent, slider.slide);
-        }
-      });
-    }, 100);
-  
-    window.addEventListener("resize", this.debouncedResize);
+  applyBreakpoint(configs) {
+    this.sliders.forEach(slider => {
+      this.unbindSlider(slider);
+      this.unobserveSlider(slider);
+    });
+    this.sliders = this.buildSliders(configs);
+    if (document.readyState === "loading") return;
+    this.init();
+    this.emit("refresh");
   }
   
   init() {
     this.sliders.forEach(slider => {
-      const { sliderDotId, sliderDotParentId, slideElementId, initialPositionPercentage, frameRateSliderElement } = slider;
-      const dotElement = document.getElementById(sliderDotId);
-      const parentElement = document.getElementById(sliderDotParentId);
-      const slideElement = document.getElementById(slideElementId);
-  
-      if (dotElement && parentElement && slideElement) {
-        if (initialPositionPercentage === undefined || frameRateSliderElement === undefined) {
-          console.error("Missing numerical values for initialPositionPercentage or frameRateSliderElement");
-          return;
-        }
+      this.bindSlider(slider);
+      if (slider.observeDOM && !slider.unobserve) {
+        this.observeSlider(slider);
+      }
+    });
+    this.emit("init");
+  }
   
-        slider.dot = dotElement;
-        slider.parent = parentElement;
-        slider.slide = slideElement;
-  
-        Object.assign(slider, {
-          isDragging: false,
-          startX: 0,
-          startY: 0,
-          initialX: 0,
-          initialY: 0,
-          cursorType: ["grab", "grabbing"],
-          moveListeners: [],
-          endListeners: [],
-          throttleTimeout: null
-        });
+  bindSlider(slider) {
+    const { sliderDotId, sliderDotParentId, slideElementId, initialPositionPercentage, frameRateSliderElement } = slider;
+    const dotElement = document.getElementById(sliderDotId);
+    const parentElement = document.getElementById(sliderDotParentId);
+    const slideElement = document.getElementById(slideElementId);
   
-        this.setCursor(dotElement, slider.cursorType[0]);
+    if (dotElement && parentElement && slideElement) {
+      if (initialPositionPercentage === undefined || frameRateSliderElement === undefined) {
+        console.error("Missing numerical values for initialPositionPercentage or frameRateSliderElement");
+        return;
+      }
   
-        ["mousedown", "touchstart"].forEach(eventType => {
-          dotElement.addEventListener(eventType, (event) => this.handleStart(event, slider));
-        });
+      slider.dot = dotElement;
+      slider.parent = parentElement;
+      slider.slide = slideElement;
   
-        this.updateDimensions(slider);
-        this.setInitialPosition(slider, dotElement, parentElement, slideElement);
-      } else {
-        console.error(`Missing or invalid IDs: ${sliderDotId}, ${sliderDotParentId}, ${slideElementId}`);
-      }
+      Object.assign(slider, {
+        isDragging: false,
+        startX: 0,
+        startY: 0,
+        initialX: 0,
+        initialY: 0,
+        cursorType: ["grab", "grabbing"],
+        moveListeners: [],
+        endListeners: [],
+        startListeners: [],
+        throttleTimeout: null
+      });
+  
+      this.setCursor(dotElement, slider.cursorType[0]);
+  
+      ["mousedown", "touchstart"].forEach(eventType => {
+        const startHandler = (event) => this.handleStart(event, slider);
+        dotElement.addEventListener(eventType, startHandler);
+        slider.startListeners.push({ evt: eventType, listener: startHandler });
+      });
+  
+      this.updateDimensions(slider);
+      this.setInitialPosition(slider, dotElement, parentElement, slideElement);
+    } else if (!slider.observeDOM) {
+      reportDiagnostic("Slider", "error", sliderDotId, `Missing or invalid IDs: ${sliderDotId}, ${sliderDotParentId}, ${slideElementId}`);
+    }
+  }
+  
+  observeSlider(slider) {
+    const selector = [slider.sliderDotId, slider.sliderDotParentId, slider.slideElementId]
+      .map(id => `[id="${id}"]`)
+      .join(", ");
+    slider.unobserve = observeDOM(selector, {
+      added: () => this.rebindSlider(slider),
+      removed: () => this.rebindSlider(slider)
     });
   }
   
+  unobserveSlider(slider) {
+    if (slider.unobserve) {
+      slider.unobserve();
+      slider.unobserve = null;
+    }
+  }
+  
+  // Only rebinds if the elements with the slider's IDs changed, so a slider in use keeps its position.
+  rebindSlider(slider) {
+    if (this.isDestroyed) return;
+    const isBound = slider.dot
+      && slider.dot === document.getElementById(slider.sliderDotId)
+      && slider.parent === document.getElementById(slider.sliderDotParentId)
+      && slider.slide === document.getElementById(slider.slideElementId);
+    if (isBound) return;
+    this.unbindSlider(slider);
+    this.bindSlider(slider);
+  }
+  
   setInitialPosition(slider, dot, parent, slide) {
-    const availableWidth = parent.offsetWidth - dot.offsetWidth;
+    const availableWidth = slider.parentWidth - slider.dotWidth;
     const initialPosition = (availableWidth * slider.initialPositionPercentage) / 100;
     this.updateSliderPosition(slider, initialPosition, dot, slide, parent);
   }
@@ -115,6 +203,7 @@ class Slider {
   }
   
   handleStart(event, slider) {
+    if (this.isPaused) return;
     event.preventDefault();
     slider.isDragging = true;
     const { clientX, clientY } = event.type === "mousedown" ? event : event.touches[0];
@@ -126,6 +215,7 @@ class Slider {
     });
   
     this.setCursor(slider.dot, slider.cursorType[1]);
+    this.emit("start", { sliderDotId: slider.sliderDotId, percentage: slider.percentage });
   
     ["mousemove", "touchmove"].forEach(eventType => {
       const moveHandler = (moveEvent) => this.throttledHandleMove(moveEvent, slider);
@@ -152,7 +242,8 @@ class Slider {
           const deltaX = currentX - slider.startX;
           const newPosition = slider.initialX + deltaX;
           this.updateSliderPosition(slider, newPosition, slider.dot, slider.slide, slider.parent);
-          if (newPosition <= 0 || newPosition + slider.dot.offsetWidth >= slider.parent.offsetWidth) {
+          this.emit("input", { sliderDotId: slider.sliderDotId, percentage: slider.percentage });
+          if (newPosition <= 0 || newPosition + slider.dotWidth >= slider.parentWidth) {
             event.preventDefault();
           }
         }
@@ -164,6 +255,7 @@ class Slider {
     slider.isDragging = false;
     this.removeEventListeners(slider);
     this.setCursor(slider.dot, slider.cursorType[0]);
+    this.emit("end", { sliderDotId: slider.sliderDotId, percentage: slider.percentage });
   }
   
   removeEventListeners(slider) {
@@ -196,10 +288,65 @@ class Slider {
     const maxDotPosition = slider.parentWidth - slider.dotWidth;
     const clampedPosition = Math.min(Math.max(position, 0), maxDotPosition);
     const slideOffset = -(clampedPosition / maxDotPosition) * (slider.slideWidth - slider.cardParentWidth);
+    slider.percentage = maxDotPosition > 0 ? (clampedPosition / maxDotPosition) * 100 : 0;
     dot.style.left = `${clampedPosition}px`;
     slide.style.left = `${slideOffset}px`;
   }
   
+  emit(type, detail = {}) {
+    eventBus.emit(`slider:${type}`, { instance: this, ...detail });
+  }
+  
+  unbindSlider(slider) {
+    if (!slider.dot) return;
+    slider.isDragging = false;
+    this.removeEventListeners(slider);
+    slider.startListeners.forEach(({ evt, listener }) => {
+      slider.dot.removeEventListener(evt, listener);
+    });
+    slider.startListeners = [];
+    slider.dot.style.left = "";
+    slider.dot.style.cursor = "";
+    slider.slide.style.left = "";
+    slider.dot = null;
+    slider.parent = null;
+    slider.slide = null;
+  }
+  
+  refresh() {
+    if (this.isDestroyed) return;
+    this.sliders.forEach(slider => this.unbindSlider(slider));
+    this.init();
+    this.emit("refresh");
+  }
+  
+  pause() {
+    this.isPaused = true;
+    this.sliders.forEach(slider => {
+      if (slider.dot && slider.isDragging) {
+        this.handleEnd(slider);
+      }
+    });
+    this.emit("pause");
+  }
+  
+  resume() {
+    this.isPaused = false;
+    this.emit("resume");
+  }
+  
+  destroy() {
+    this.isDestroyed = true;
+    document.removeEventListener("DOMContentLoaded", this.init);
+    this.unsubscribeResize();
+    this.unwatchBreakpoints();
+    this.sliders.forEach(slider => {
+      this.unbindSlider(slider);
+      this.unobserveSlider(slider);
+    });
+    this.emit("destroy");
+  }
+  
   _ready(callback) {
     if (document.readyState === "loading") {
       document.addEventListener("DOMContentLoaded", callback);
@@ -207,17 +354,17 @@ class Slider {
       callback();
     }
   }
-  
-  debounce(func, wait) {
-    let timeout;
-    return function(...args) {
-      const later = () => {
-        clearTimeout(timeout);
-        func.apply(this, args);
-      };
-      clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
-    };
-  }
 }
-window.Slider = Slider;
+
+Slider.schema = {
+  sliderDotId: { type: "string", required: true },
+  sliderDotParentId: { type: "string", required: true },
+  slideElementId: { type: "string", required: true },
+  initialPositionPercentage: { type: "number", min: 0, max: 100 },
+  frameRateSliderElement: { type: "number", min: 1 },
+  observeDOM: { type: "boolean" },
+  enabled: { type: "boolean" }
+};
+register("Slider", Slider);
+
+export { Slider };
@@ -15,6 +15,23 @@
  * - filters (Array<Object>): Array of filter objects (each with "value" and optionally "text").
  * - buttonClass (string): CSS class for the filter buttons.
  * - buttonActiveClass (string): CSS class for the active filter button.
+ * - observeDOM (boolean): If true, filter targets added to the DOM later (e.g. by CMS load-more) are filtered
+ *   as well and get buttons for new values if the filters were generated automatically (default: false).
+ * - enabled (boolean): If false, no buttons are rendered and all elements stay visible (default: true).
+ *
+ * Every option also accepts a breakpoint map (see core/breakpoints.js). The buttons are rebuilt when the
+ * breakpoint changes the options; the active filter is kept if its button still exists.
+ *
+ * Lifecycle (applied to every FilterInstance):
+ * - destroy(): Removes the generated buttons and shows all filtered elements again.
+ * - refresh(): Re-queries the filter targets and re-applies the active filter.
+ * - pause() / resume(): Ignores and re-accepts clicks on the filter buttons.
+ *
+ * Events (published as "filter:<event>" on the WFLib event bus):
+ * - apply ({ value }), reset, change ({ value }, null after a reset)
+ * - init, pause, resume, refresh, destroy
+ * Every FilterInstance publishes its own events; its `owner` is the Filter, so WFLib.connect() on the Filter
+ * ignores the Filter's own events and is removed when it is destroyed.
  *
  * Example instantiation (asynchron sicher):
  * window.addEventListener('DOMContentLoaded', () => {
@@ -34,17 +51,42 @@
  * @version 1.0.0
  * @license MIT
  */
+import * as eventBus from "./core/eventBus.js";
+import { register } from "./core/registry.js";
+import { observeDOM } from "./core/domObserver.js";
+import { validate, reportDiagnostic, isStrictValidation } from "./core/validator.js";
+import { resolveOptions, watchBreakpoints, isEnabled } from "./core/breakpoints.js";
+
 class Filter {
   constructor(configs) {
     this.filters = configs.map((config, index) => {
       try {
-        return new FilterInstance(config);
+        return new FilterInstance(config, this);
       } catch (error) {
-        console.warn(`FilterInstance ${index + 1} was not added due to errors: ${error.message}`);
+        if (isStrictValidation()) {
+          throw error;
+        }
+        reportDiagnostic("Filter", "error", `configs[${index}]`, `FilterInstance was not added: ${error.message}`);
         return null;
       }
     }).filter(instance => instance !== null);
   }
+  
+  destroy() {
+    this.filters.forEach(instance => instance.destroy());
+  }
+  
+  refresh() {
+    this.filters.forEach(instance => instance.refresh());
+  }
+  
+  pause() {
+    this.filters.forEach(instance => instance.pause());
+  }
+  
+  resume() {
+    this.filters.forEach(instance => instance.resume());
+  }
 }
 
 /**
@@ -56,29 +98,60 @@ class Filter {
  * @license MIT
  */
 class FilterInstance {
-  constructor(options) {
+  constructor(options, owner = null) {
+    validate("FilterInstance", options, FilterInstance.schema);
+    this.owner = owner;
+    this._applyOptions(resolveOptions(options));
+  
+    if (!this.opt.filterTarget || !this.opt.containerClass) {
+      throw new Error("filterTarget and containerClass are required options.");
+    }
+  
+    this.elements = [];
+    this.currentFilter = null;
+    this.buttons = [];
+    this.isPaused = false;
+    this._setup();
+    this.unwatchBreakpoints = watchBreakpoints(options, resolved => this._applyBreakpoint(resolved));
+    this._emit("init");
+  }
+  
+  _applyOptions(options) {
     this.opt = {
       buttonDuration: 300,
       hiddenClass: "hidden",
       useAttributeFilter: false,
       filterFunction: null,
+      observeDOM: false,
       ...options
     };
+  }
   
-    if (!this.opt.filterTarget || !this.opt.containerClass) {
-      throw new Error("filterTarget and containerClass are required options.");
+  _applyBreakpoint(options) {
+    const currentFilter = this.currentFilter;
+    this._teardown();
+    this._applyOptions(options);
+    this._setup();
+    const button = this.buttons.find(btn => btn.dataset.filterValue === currentFilter);
+    if (button) {
+      this._applyFilter(currentFilter);
+      this.currentFilter = currentFilter;
+      this._updateActiveButton(button);
     }
+    this._emit("refresh");
+  }
   
+  _setup() {
+    if (!isEnabled(this.opt)) return;
     this.elements = document.querySelectorAll(this.opt.filterTarget);
     this.parent = document.querySelector(this.opt.containerClass);
-    this.currentFilter = null;
   
     if (!this.parent) {
       throw new Error(`Parent container with class "${this.opt.containerClass}" was not found.`);
     }
   
     if (!this.elements.length) {
-      console.warn(`No elements found for filterTarget "${this.opt.filterTarget}".`);
+      reportDiagnostic("FilterInstance", "warning", "filterTarget", `No elements found for filterTarget "${this.opt.filterTarget}".`);
     }
   
     if (this.opt.useAttributeFilter) {
@@ -104,6 +177,7 @@ class FilterInstance {
       throw new Error("Either filterFunction or dynamicList must be specified when useAttributeFilter is false.");
     }
   
+    this.autoFilters = !this.opt.filters;
     if (!this.opt.filters) {
       if (this.opt.useAttributeFilter) {
         const attrs = Array.from(this.elements)
@@ -128,22 +202,62 @@ class FilterInstance {
   }
   
   _createButtons() {
-    this.opt.filters.forEach(filter => {
-      const button = document.createElement("button");
-      button.className = this.opt.buttonClass;
-      button.textContent = filter.text || filter.value;
-      button.dataset.filterValue = filter.value;
-      button.style.transition = `all ${this.opt.buttonDuration}ms ease`;
-      button.addEventListener("click", () => this._toggleFilter(filter.value, button));
-      this.parent.appendChild(button);
-    });
+    this.opt.filters.forEach(filter => this._createButton(filter));
+  }
+  
+  _createButton(filter) {
+    const button = document.createElement("button");
+    button.className = this.opt.buttonClass;
+    button.textContent = filter.text || filter.value;
+    button.dataset.filterValue = filter.value;
+    button.style.transition = `all ${this.opt.buttonDuration}ms ease`;
+    button.addEventListener("click", () => this._toggleFilter(filter.value, button));
+    this.parent.appendChild(button);
+    this.buttons.push(button);
   }
   
   _initFilter() {
-    // Additional initialization logic if needed.
+    if (this.opt.observeDOM) {
+      this.unobserve = observeDOM(this.opt.filterTarget, {
+        added: elements => this._handleAddedElements(elements),
+        removed: () => {
+          this.elements = document.querySelectorAll(this.opt.filterTarget);
+        }
+      });
+    }
+  }
+  
+  _handleAddedElements(elements) {
+    this.elements = document.querySelectorAll(this.opt.filterTarget);
+    if (this.autoFilters) {
+      this._addFilterValues(elements);
+    }
+    if (this.currentFilter !== null) {
+      elements.forEach(element => {
+        element.classList.toggle(this.opt.hiddenClass, !this.filterFunction(element, this.currentFilter));
+      });
+    }
+  }
+  
+  _addFilterValues(elements) {
+    const values = this.opt.useAttributeFilter
+      ? elements.map(el => el.getAttribute(this.opt.attributeName)).filter(attr => attr !== null)
+      : elements
+        .flatMap(el => Array.from(el.querySelectorAll(this.opt.dynamicList)))
+        .map(el => el.textContent.trim())
+        .filter(text => text !== "");
+    const existingValues = this.opt.filters.map(filter => filter.value);
+    [...new Set(values)]
+      .filter(value => !existingValues.includes(value))
+      .forEach(value => {
+        const filter = { value };
+        this.opt.filters.push(filter);
+        this._createButton(filter);
+      });
   }
   
   _toggleFilter(filterValue, button) {
+    if (this.isPaused) return;
     if (this.currentFilter === filterValue) {
       this._resetFilter();
     } else {
@@ -151,6 +265,7 @@ class FilterInstance {
       this.currentFilter = filterValue;
       this._updateActiveButton(button);
     }
+    this._emit("change", { value: this.currentFilter });
   }
   
   _applyFilter(filterValue) {
@@ -158,12 +273,14 @@ class FilterInstance {
       const isMatch = this.filterFunction(element, filterValue);
       element.classList.toggle(this.opt.hiddenClass, !isMatch);
     });
+    this._emit("apply", { value: filterValue });
   }
   
   _resetFilter() {
     this.elements.forEach(element => element.classList.remove(this.opt.hiddenClass));
     this.currentFilter = null;
     this._updateActiveButton(null);
+    this._emit("reset");
   }
   
   _updateActiveButton(activeButton) {
@@ -173,6 +290,64 @@ class FilterInstance {
       activeButton.classList.add(this.opt.buttonActiveClass);
     }
   }
+  
+  _emit(type, detail = {}) {
+    eventBus.emit(`filter:${type}`, { instance: this, ...detail });
+  }
+  
+  refresh() {
+    this.elements = document.querySelectorAll(this.opt.filterTarget);
+    if (this.currentFilter !== null) {
+      this._applyFilter(this.currentFilter);
+    }
+    this._emit("refresh");
+  }
+  
+  pause() {
+    this.isPaused = true;
+    this._emit("pause");
+  }
+  
+  resume() {
+    this.isPaused = false;
+    this._emit("resume");
+  }
+  
+  _teardown() {
+    if (this.unobserve) {
+      this.unobserve();
+      this.unobserve = null;
+    }
+    this.elements.forEach(element => element.classList.remove(this.opt.hiddenClass));
+    this.elements = [];
+    this.buttons.forEach(button => button.remove());
+    this.buttons = [];
+    this.currentFilter = null;
+  }
+  
+  destroy() {
+    this.unwatchBreakpoints();
+    this._teardown();
+    this._emit("destroy");
+  }
 }
-window.Filter = Filter;
-window.FilterInstance = FilterInstance;
+
+FilterInstance.schema = {
+  filterTarget: { type: "string", required: true },
+  containerClass: { type: "string", required: true },
+  buttonDuration: { type: "number", min: 0 },
+  hiddenClass: { type: "string" },
+  useAttributeFilter: { type: "boolean" },
+  filterFunction: { type: "function" },
+  attributeName: { type: "string" },
+  dynamicList: { type: "string" },
+  filters: { type: "array", items: "object" },
+  buttonClass: { type: "string" },
+  buttonActiveClass: { type: "string" },
+  observeDOM: { type: "boolean" },
+  enabled: { type: "boolean" }
+};
+register("Filter", Filter);
+register("FilterInstance", FilterInstance);
+
+export { Filter, FilterInstance };
@@ -0,0 +1,39 @@
+/**
+ * Webflow Front-End Library
+ *
+ * Package entry that exports every component and the shared core as ES modules. The UMD build of this file
+ * exposes the same exports on one global namespace (window.WFLib), e.g. `new WFLib.Slider(configs)`.
+ *
+ * Legacy globals (window.Slider, window.defaultConfig, ...) are not created anymore. Call
+ * installLegacyGlobals() or use the legacy build if existing custom code still relies on them.
+ *
+ * Example (ES module):
+ * import { Typewriter, on } from './raw/index.js';
+ * on('typewriter:complete', ({ text }) => console.log(text));
+ * new Typewriter({ addClass: 'typewriter-style', textArray: ['Hello World!'], targetParent: 'typeparent' });
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+export { DOMProcessor } from './DOMProcessor.js';
+export { ScrollManager } from './scrollManager.js';
+export { Slider } from './customSlider.js';
+export { Filter, FilterInstance } from './elementFilter.js';
+export { CustomCursor } from './customCursor.js';
+export { Typewriter } from './typewriter.js';
+export { ScrollBrightness } from './scrollLetter.js';
+export { SpanFadeInStagger } from './SpanFadeInStagger.js';
+export { ToggleHeight } from './universalAutoHeight.js';
+export { ComboClassConfigurator } from './config_project/classConfig.js';
+export { defaultConfig, supportedEasings } from './config_project/configOptions.js';
+export { on, off, once, emit, connect } from './core/eventBus.js';
+export { register, getComponent, listComponents } from './core/registry.js';
+export { observeDOM } from './core/domObserver.js';
+export { measure, mutate, onFrame, onScroll, onResize } from './core/scheduler.js';
+export { setMotionPolicy, getMotionPolicy, prefersReducedMotion, isReducedMotion, onMotionChange } from './core/motion.js';
+export { getBreakpoint, onBreakpointChange, resolveValue, resolveOptions } from './core/breakpoints.js';
+export { validate, reportDiagnostic, setStrictValidation, isStrictValidation, getDiagnostics, clearDiagnostics, printDiagnostics } from './core/validator.js';
+export { enableDebug, disableDebug, isDebugEnabled } from './core/debug.js';
+export { installLegacyGlobals } from './compat.js';
+// The auto-initializer scans the page on import, so it has to come after all components are registered.
+export { autoInit, getInstance } from './core/autoInit.js';
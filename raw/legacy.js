@@ -0,0 +1,14 @@
+/**
+ * Legacy Entry
+ *
+ * Same exports as index.js, but additionally installs the legacy globals (window.Slider, window.defaultConfig,
+ * ...) on load. Used for the legacy UMD build only.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+import { installLegacyGlobals } from './index.js';
+
+export * from './index.js';
+
+installLegacyGlobals();
@@ -15,9 +15,37 @@
  * - keyframeLength (number): Length of the scroll keyframe as a percentage (default: 100).
  * - backgroundClass (string): CSS class to apply a background image to spans (optional).
  * - background (string): CSS background image for spans (optional).
- * - fallbackMobileBackground (string): Fallback background for mobile devices (optional).
+ * - fallbackMobileBackground (string): Background from the tablet breakpoint down (optional). Same as
+ *   background: { desktop: ..., tablet: ... }.
  * - linkAttribute (string): Attribute used to link scroll triggers with parent elements (optional).
  * - fixedBackground (boolean): If true, applies fixed background styling (default: false).
+ * - scrollSource (Window|HTMLElement|string|ScrollManager): Scroller the progress follows: window, a scrollable
+ *   element or its selector, or a ScrollManager instance for its smoothed position (default: window). With
+ *   an element, its bottom edge takes the place of the viewport bottom (see core/scrollSource.js).
+ * - reducedMotion (boolean|string): 'auto' follows the WFLib motion policy, true/false force or ignore the
+ *   reduced-motion fallback (default: 'auto'). With reduced motion the text is shown at targetBrightness.
+ * - observeDOM (boolean): If true, triggers and parents added to the DOM later (e.g. by CMS load-more) are
+ *   wrapped as new groups and groups whose elements are removed are dropped (default: false).
+ * - enabled (boolean): If false, the configuration is skipped and its text keeps its original styles
+ *   (default: true).
+ *
+ * Every option also accepts a breakpoint map (see core/breakpoints.js), e.g. offset: { desktop: 20, tablet: 10 }.
+ * All targets are re-wrapped when the breakpoint changes the options.
+ *
+ * Lifecycle:
+ * - destroy(): Removes the scroll/resize listeners and restores the original text of all targets.
+ * - refresh(): Restores and re-wraps all targets and recalculates the progress.
+ * - pause() / resume(): Stops and restarts reacting to scroll and resize.
+ * - getDebugInfo(): Start and end line and progress of every group, drawn by the debug overlay
+ *   (see core/debug.js).
+ *
+ * Scroll and resize are handled by the shared WFLib frame scheduler: trigger positions are measured in the
+ * read phase and the opacity of the words is updated in the write phase.
+ *
+ * Events (published as "brightness:<event>" on the WFLib event bus):
+ * - progress: The progress of a group changed ({ trigger, progress }).
+ * - complete: A group reached 100% ({ trigger }).
+ * - init, pause, resume, refresh, destroy
  *
  * Example instantiation (asynchron sicher):
  * window.addEventListener('DOMContentLoaded', () => {
@@ -32,8 +60,10 @@
  *     easing: 'ease-in-out',
  *     keyframeLength: 100,
  *     backgroundClass: 'bg-text',
- *     background: 'linear-gradient(90deg, #ff7e5f, #feb47b)',
- *     fallbackMobileBackground: 'linear-gradient(90deg, #00c6ff, #0072ff)',
+ *     background: {
+ *       desktop: 'linear-gradient(90deg, #ff7e5f, #feb47b)',
+ *       tablet: 'linear-gradient(90deg, #00c6ff, #0072ff)'
+ *     },
  *     linkAttribute: 'data-group',
  *     fixedBackground: true
  *   });
@@ -42,49 +72,50 @@
  * @version 1.0.0
  * @license MIT
  */
+import * as eventBus from './core/eventBus.js';
+import { register } from './core/registry.js';
+import * as scheduler from './core/scheduler.js';
+import { observeDOM } from './core/domObserver.js';
+import { isReducedMotion, onMotionChange } from './core/motion.js';
+import { validate, reportDiagnostic } from './core/validator.js';
+import { resolveOptions, watchBreakpoints, isEnabled, isBreakpointMap } from './core/breakpoints.js';
+import { resolveScrollSource, scrollSourceRule } from './core/scrollSource.js';
+
 class ScrollBrightness {
   constructor(config) {
-    const allowedEasings = ['ease', 'ease-in', 'ease-out', 'ease-in-out'];
-    this.configurations = Array.isArray(config) ? config : [config];
-    this.isScrollTicking = false;
-    this.isResizeTicking = false;
+    const configs = Array.isArray(config) ? config : [config];
     this.isDOMContentLoaded = false;
-    this.isMobile = /Mobi|Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
     this.groups = new Map();
+    this.originalContent = new Map();
+    this.isPaused = false;
+    this.pendingTargets = new Map();
+    this.cancelWrite = null;
+    this.scrollSubscriptions = [];
+    this.unobserve = null;
   
-    this.configurations.forEach((cfg, cfgIndex) => {
-      if (cfg.easing && !allowedEasings.includes(cfg.easing)) {
-        console.warn(`Invalid easing value '${cfg.easing}' in configuration ${cfgIndex + 1}. Using 'ease' instead.`);
-        cfg.easing = 'ease';
-      }
-      const configuration = {
-        offset: cfg.offset !== undefined ? cfg.offset : 0,
-        scrollTriggerClass: cfg.scrollTriggerClass,
-        parentClass: cfg.parentClass || null,
-        zielKlasse: cfg.zielKlasse,
-        initialBrightness: cfg.initialBrightness !== undefined ? cfg.initialBrightness : 0.15,
-        targetBrightness: cfg.targetBrightness !== undefined ? cfg.targetBrightness : 1,
-        transitionTime: cfg.transitionTime !== undefined ? cfg.transitionTime : '0.3s',
-        easing: cfg.easing !== undefined ? cfg.easing : 'ease',
-        keyframeLength: cfg.keyframeLength !== undefined ? cfg.keyframeLength : 100,
-        backgroundClass: cfg.backgroundClass || null,
-        background: cfg.background || null,
-        fallbackMobileBackground: cfg.fallbackMobileBackground || null,
-        linkAttribute: cfg.linkAttribute || null,
-        fixedBackground: cfg.fixedBackground !== undefined ? cfg.fixedBackground : false,
-      };
-  
-      if (!configuration.scrollTriggerClass || !configuration.zielKlasse) {
-        console.error(`Configuration ${cfgIndex + 1}: 'scrollTriggerClass' and 'zielKlasse' are required.`);
-        return;
-      }
-  
-      this.configurations[cfgIndex] = configuration;
-    });
+    this.rawConfigs = configs
+      .map((cfg, cfgIndex) => {
+        if (!validate('ScrollBrightness', cfg, ScrollBrightness.schema, `configs[${cfgIndex}]`).valid) {
+          return null;
+        }
+        const rawConfig = { ...cfg, index: cfgIndex };
+        // fallbackMobileBackground is the tablet value of the background.
+        if (cfg.fallbackMobileBackground && !isBreakpointMap(cfg.background)) {
+          rawConfig.background = { desktop: cfg.background, tablet: cfg.fallbackMobileBackground };
+        }
+        return rawConfig;
+      })
+      .filter(Boolean);
+    this.configurations = this.buildConfigurations(resolveOptions(this.rawConfigs));
+    this.unwatchBreakpoints = watchBreakpoints(this.rawConfigs, resolved => this.applyBreakpoint(resolved));
   
     this.handleScroll = this.handleScroll.bind(this);
     this.handleResize = this.handleResize.bind(this);
     this.domContentLoadedHandler = this.domContentLoadedHandler.bind(this);
+    this.onScroll = this.onScroll.bind(this);
+    this.onResize = this.onResize.bind(this);
+    this.motionState = this.getMotionState();
+    this.motionUnsubscribe = onMotionChange(() => this.applyMotionPreference());
   
     if (document.readyState === 'complete' || document.readyState === 'interactive') {
       this.domContentLoadedHandler();
@@ -93,109 +124,196 @@ class ScrollBrightness {
     }
   }
   
+  buildConfigurations(configs) {
+    return configs.filter(isEnabled).map(cfg => ({
+      index: cfg.index,
+      offset: cfg.offset !== undefined ? cfg.offset : 0,
+      scrollTriggerClass: cfg.scrollTriggerClass,
+      parentClass: cfg.parentClass || null,
+      zielKlasse: cfg.zielKlasse,
+      initialBrightness: cfg.initialBrightness !== undefined ? cfg.initialBrightness : 0.15,
+      targetBrightness: cfg.targetBrightness !== undefined ? cfg.targetBrightness : 1,
+      transitionTime: cfg.transitionTime !== undefined ? cfg.transitionTime : '0.3s',
+      easing: ScrollBrightness.schema.easing.enum.includes(cfg.easing) ? cfg.easing : 'ease',
+      keyframeLength: cfg.keyframeLength !== undefined ? cfg.keyframeLength : 100,
+      backgroundClass: cfg.backgroundClass || null,
+      background: cfg.background || null,
+      linkAttribute: cfg.linkAttribute || null,
+      fixedBackground: cfg.fixedBackground !== undefined ? cfg.fixedBackground : false,
+      reducedMotion: cfg.reducedMotion !== undefined ? cfg.reducedMotion : 'auto',
+      scrollSource: cfg.scrollSource || null,
+      observeDOM: cfg.observeDOM || false,
+    }));
+  }
+  
+  applyBreakpoint(configs) {
+    this.configurations = this.buildConfigurations(configs);
+    this.motionState = this.getMotionState();
+    this.refresh();
+  }
+  
   domContentLoadedHandler() {
     if (this.isDOMContentLoaded) return;
     this.isDOMContentLoaded = true;
     this.initElements();
-    window.addEventListener('scroll', this.onScroll.bind(this), { passive: true });
-    window.addEventListener('resize', this.onResize.bind(this));
+    this.unsubscribeResize = scheduler.onResize(this.onResize);
     document.removeEventListener('DOMContentLoaded', this.domContentLoadedHandler);
   }
   
   onScroll() {
-    if (!this.isScrollTicking) {
-      requestAnimationFrame(() => {
-        this.handleScroll();
-        this.isScrollTicking = false;
-      });
-      this.isScrollTicking = true;
-    }
+    if (this.isPaused) return;
+    this.handleScroll();
   }
   
   onResize() {
-    if (!this.isResizeTicking) {
-      requestAnimationFrame(() => {
-        this.handleResize();
-        this.isResizeTicking = false;
-      });
-    }
+    if (this.isPaused) return;
+    this.handleResize();
+  }
+  
+  // Every distinct scroll source is subscribed once; each configuration keeps its resolved source.
+  subscribeScrollSources() {
+    this.unsubscribeScrollSources();
+    const sources = new Map();
+    this.configurations.forEach(config => {
+      if (!sources.has(config.scrollSource)) {
+        let source = resolveScrollSource(config.scrollSource);
+        if (!source) {
+          reportDiagnostic('ScrollBrightness', 'warning', `configs[${config.index}].scrollSource`, `No element found for '${config.scrollSource}', following the window instead.`);
+          source = resolveScrollSource(null);
+        }
+        sources.set(config.scrollSource, source);
+        this.scrollSubscriptions.push(source.subscribe(this.onScroll));
+      }
+      config.source = sources.get(config.scrollSource);
+    });
+  }
+  
+  unsubscribeScrollSources() {
+    this.scrollSubscriptions.forEach(unsubscribe => unsubscribe());
+    this.scrollSubscriptions = [];
   }
   
   initElements() {
-    this.configurations.forEach((config, cfgIndex) => {
-      const scrollTriggers = document.querySelectorAll(config.scrollTriggerClass);
-      if (scrollTriggers.length === 0) {
-        console.warn(`Configuration ${cfgIndex + 1}: No elements found with class '${config.scrollTriggerClass}'.`);
-        return;
+    this.subscribeScrollSources();
+    this.configurations.forEach(config => this.initConfig(config, false));
+    this.observeElements();
+    this.handleScroll();
+    this.emit('init');
+  }
+  
+  // With isUpdate, only triggers without a group are bound and missing elements are expected.
+  initConfig(config, isUpdate) {
+    const path = `configs[${config.index}]`;
+    const scrollTriggers = document.querySelectorAll(config.scrollTriggerClass);
+    if (scrollTriggers.length === 0) {
+      if (!config.observeDOM) {
+        reportDiagnostic('ScrollBrightness', 'warning', `${path}.scrollTriggerClass`, `No elements found with class '${config.scrollTriggerClass}'.`);
       }
-      const parents = document.querySelectorAll(config.parentClass || config.zielKlasse);
-      if (parents.length === 0) {
-        console.warn(`Configuration ${cfgIndex + 1}: No elements found with class '${config.parentClass || config.zielKlasse}'.`);
-        return;
+      return;
+    }
+    const parents = document.querySelectorAll(config.parentClass || config.zielKlasse);
+    if (parents.length === 0) {
+      if (!config.observeDOM) {
+        reportDiagnostic('ScrollBrightness', 'warning', `${path}.${config.parentClass ? 'parentClass' : 'zielKlasse'}`, `No elements found with class '${config.parentClass || config.zielKlasse}'.`);
       }
+      return;
+    }
   
-      scrollTriggers.forEach((trigger, index) => {
-        let parent = null;
-        if (config.linkAttribute) {
-          const triggerAttrValue = trigger.getAttribute(config.linkAttribute);
-          if (!triggerAttrValue) {
-            console.warn(`Configuration ${cfgIndex + 1}, Trigger ${index + 1}: Attribute '${config.linkAttribute}' not defined.`);
-            return;
-          }
-          parent = Array.from(parents).find(p => p.getAttribute(config.linkAttribute) === triggerAttrValue);
-          if (!parent) {
-            console.warn(`Configuration ${cfgIndex + 1}, Trigger ${index + 1}: No parent element with '${config.linkAttribute}="${triggerAttrValue}"' found.`);
-            return;
-          }
-        } else {
-          parent = parents[index];
-          if (!parent) {
-            console.warn(`Configuration ${cfgIndex + 1}, Trigger ${index + 1}: No corresponding parent element found.`);
-            return;
-          }
+    scrollTriggers.forEach((trigger, index) => {
+      if (isUpdate && this.groups.has(trigger)) return;
+      let parent = null;
+      if (config.linkAttribute) {
+        const triggerAttrValue = trigger.getAttribute(config.linkAttribute);
+        if (!triggerAttrValue) {
+          reportDiagnostic('ScrollBrightness', 'warning', `${path}.linkAttribute`, `Trigger ${index + 1}: Attribute '${config.linkAttribute}' not defined.`);
+          return;
         }
-  
-        const targets = parent.querySelectorAll(config.zielKlasse);
-        if (targets.length === 0) {
-          console.warn(`Configuration ${cfgIndex + 1}, Parent ${index + 1}: No target elements with class '${config.zielKlasse}' found.`);
+        parent = Array.from(parents).find(p => p.getAttribute(config.linkAttribute) === triggerAttrValue);
+        if (!parent) {
+          reportDiagnostic('ScrollBrightness', 'warning', `${path}.linkAttribute`, `Trigger ${index + 1}: No parent element with '${config.linkAttribute}="${triggerAttrValue}"' found.`);
+          return;
+        }
+      } else {
+        parent = parents[index];
+        if (!parent) {
+          reportDiagnostic('ScrollBrightness', 'warning', `${path}.parentClass`, `Trigger ${index + 1}: No corresponding parent element found.`);
           return;
         }
+      }
   
-        const groupData = {
-          trigger: trigger,
-          parent: parent,
-          config: config,
-          totalWordsInGroup: 0,
-          targets: [],
-          lastClampedProgress: -1,
-        };
-  
-        targets.forEach(target => {
-          this.prepareTarget(target, config);
-          const hasBackgroundClass = config.backgroundClass ? target.classList.contains(config.backgroundClass) : false;
-          const backgroundValue = hasBackgroundClass
-            ? (this.isMobile && config.fallbackMobileBackground ? config.fallbackMobileBackground : config.background)
-            : null;
-          const words = this.wrapWords(target, config, hasBackgroundClass, backgroundValue);
-          groupData.totalWordsInGroup += words.length;
-          groupData.targets.push({
-            element: target,
-            words: words,
-            hasBackgroundClass: hasBackgroundClass,
-            backgroundValue: backgroundValue,
-            wordStartIndex: groupData.totalWordsInGroup - words.length,
-            lastWordsToLight: -1,
-          });
+      const targets = parent.querySelectorAll(config.zielKlasse);
+      if (targets.length === 0) {
+        reportDiagnostic('ScrollBrightness', 'warning', `${path}.zielKlasse`, `Parent ${index + 1}: No target elements with class '${config.zielKlasse}' found.`);
+        return;
+      }
+  
+      const groupData = {
+        trigger: trigger,
+        parent: parent,
+        config: config,
+        totalWordsInGroup: 0,
+        targets: [],
+        lastClampedProgress: -1,
+      };
+  
+      targets.forEach(target => {
+        this.prepareTarget(target, config);
+        const hasBackgroundClass = config.backgroundClass ? target.classList.contains(config.backgroundClass) : false;
+        const backgroundValue = hasBackgroundClass ? config.background : null;
+        const words = this.wrapWords(target, config, hasBackgroundClass, backgroundValue);
+        groupData.totalWordsInGroup += words.length;
+        groupData.targets.push({
+          element: target,
+          words: words,
+          hasBackgroundClass: hasBackgroundClass,
+          backgroundValue: backgroundValue,
+          wordStartIndex: groupData.totalWordsInGroup - words.length,
+          lastWordsToLight: -1,
         });
+      });
   
-        this.groups.set(trigger, groupData);
+      this.groups.set(trigger, groupData);
+    });
+  }
+  
+  observeElements() {
+    if (this.unobserve) {
+      this.unobserve();
+      this.unobserve = null;
+    }
+    const selectors = new Set();
+    this.configurations.filter(config => config.observeDOM).forEach(config => {
+      [config.scrollTriggerClass, config.parentClass, config.zielKlasse]
+        .filter(Boolean)
+        .forEach(selector => selectors.add(selector));
+    });
+    if (selectors.size === 0) return;
+    const update = () => this.updateElements();
+    this.unobserve = observeDOM(Array.from(selectors).join(', '), { added: update, removed: update });
+  }
+  
+  // Groups that are already wrapped keep their words, so their progress does not restart.
+  updateElements() {
+    this.groups.forEach((groupData, trigger) => {
+      if (trigger.isConnected && groupData.parent.isConnected) return;
+      groupData.targets.forEach(item => {
+        this.originalContent.delete(item.element);
+        this.pendingTargets.delete(item);
       });
+      this.groups.delete(trigger);
     });
+    this.configurations.filter(config => config.observeDOM).forEach(config => this.initConfig(config, true));
     this.handleScroll();
   }
   
   prepareTarget(element, config) {
-    element.style.transition = `opacity ${config.transitionTime} ${config.easing}`;
+    if (!this.originalContent.has(element)) {
+      this.originalContent.set(element, {
+        html: element.innerHTML,
+        style: element.getAttribute('style')
+      });
+    }
+    element.style.transition = this.getTransition(config);
     element.style.opacity = '1';
   }
   
@@ -210,7 +328,7 @@ class ScrollBrightness {
       span.textContent = word;
       span.style.display = 'inline-block';
       span.style.opacity = config.initialBrightness;
-      span.style.transition = `opacity ${config.transitionTime} ${config.easing}`;
+      span.style.transition = this.getTransition(config);
       if (hasBackgroundClass && backgroundValue) {
         span.style.backgroundImage = backgroundValue;
         span.style.webkitBackgroundClip = 'text';
@@ -233,18 +351,22 @@ class ScrollBrightness {
   }
   
   handleScroll() {
-    const windowHeight = window.innerHeight || document.documentElement.clientHeight;
     this.groups.forEach(groupData => {
       const { trigger, parent, config, totalWordsInGroup } = groupData;
       const triggerRect = trigger.getBoundingClientRect();
       const triggerHeight = triggerRect.height;
       const offsetPx = (config.offset / 100) * triggerHeight;
-      const viewportBottom = windowHeight;
+      const viewportBottom = config.source.getViewport().bottom;
       const progress = ((viewportBottom - triggerRect.top - offsetPx) / triggerHeight) * 100;
-      const clampedProgress = Math.max(0, Math.min(100, progress));
+      const clampedProgress = isReducedMotion(config.reducedMotion) ? 100 : Math.max(0, Math.min(100, progress));
   
       if (clampedProgress === groupData.lastClampedProgress) return;
+      const previousProgress = groupData.lastClampedProgress;
       groupData.lastClampedProgress = clampedProgress;
+      this.emit('progress', { trigger, progress: clampedProgress });
+      if (clampedProgress === 100 && previousProgress !== -1 && previousProgress < 100) {
+        this.emit('complete', { trigger });
+      }
       const totalWordsToLight = Math.floor((clampedProgress / 100) * totalWordsInGroup);
   
       groupData.targets.forEach(item => {
@@ -253,12 +375,23 @@ class ScrollBrightness {
         const wordsToLightInThisTarget = Math.max(0, Math.min(wordsInThisTarget, totalWordsToLight - wordStartIndex));
         if (wordsToLightInThisTarget !== item.lastWordsToLight) {
           item.lastWordsToLight = wordsToLightInThisTarget;
-          words.forEach((span, index) => {
-            span.style.opacity = (index < wordsToLightInThisTarget) ? config.targetBrightness : config.initialBrightness;
-          });
+          this.pendingTargets.set(item, config);
         }
       });
     });
+    if (this.pendingTargets.size > 0 && !this.cancelWrite) {
+      this.cancelWrite = scheduler.mutate(() => this.applyBrightness());
+    }
+  }
+  
+  applyBrightness() {
+    this.cancelWrite = null;
+    this.pendingTargets.forEach((config, item) => {
+      item.words.forEach((span, index) => {
+        span.style.opacity = (index < item.lastWordsToLight) ? config.targetBrightness : config.initialBrightness;
+      });
+    });
+    this.pendingTargets.clear();
   }
   
   handleResize() {
@@ -267,5 +400,123 @@ class ScrollBrightness {
     });
     this.handleScroll();
   }
+  
+  getDebugInfo() {
+    const info = { boxes: [], lines: [], badges: [] };
+    const sources = new Set();
+    this.groups.forEach(({ trigger, config, lastClampedProgress }) => {
+      const rect = trigger.getBoundingClientRect();
+      const start = rect.top + (config.offset / 100) * rect.height;
+      const progress = Math.round(Math.max(0, lastClampedProgress));
+      info.boxes.push({ rect, label: `brightness ${progress}%` });
+      info.lines.push(
+        { y: start, left: rect.left, width: rect.width, label: `brightness start (offset ${config.offset}%)`, type: 'start' },
+        { y: start + rect.height, left: rect.left, width: rect.width, label: 'brightness end', type: 'end' }
+      );
+      sources.add(config.source);
+    });
+    sources.forEach(source => {
+      const label = source.element ? 'brightness scroller (scroll source bottom)' : 'brightness scroller (viewport bottom)';
+      info.lines.push({ y: source.getViewport().bottom - 1, label, type: 'scroller' });
+    });
+    return info;
+  }
+  
+  emit(type, detail = {}) {
+    eventBus.emit(`brightness:${type}`, { instance: this, ...detail });
+  }
+  
+  getTransition(config) {
+    return isReducedMotion(config.reducedMotion) ? 'none' : `opacity ${config.transitionTime} ${config.easing}`;
+  }
+  
+  getMotionState() {
+    return this.configurations.map(config => isReducedMotion(config && config.reducedMotion)).join();
+  }
+  
+  applyMotionPreference() {
+    const motionState = this.getMotionState();
+    if (motionState === this.motionState) return;
+    this.motionState = motionState;
+    if (!this.isDOMContentLoaded) return;
+    this.restoreTargets();
+    this.initElements();
+  }
+  
+  restoreTargets() {
+    this.originalContent.forEach((original, element) => {
+      element.innerHTML = original.html;
+      if (original.style === null) {
+        element.removeAttribute('style');
+      } else {
+        element.setAttribute('style', original.style);
+      }
+    });
+    this.originalContent.clear();
+    this.groups.clear();
+    if (this.cancelWrite) {
+      this.cancelWrite();
+      this.cancelWrite = null;
+    }
+    this.pendingTargets.clear();
+  }
+  
+  refresh() {
+    if (!this.isDOMContentLoaded) return;
+    this.restoreTargets();
+    this.initElements();
+    this.emit('refresh');
+  }
+  
+  pause() {
+    this.isPaused = true;
+    this.emit('pause');
+  }
+  
+  resume() {
+    if (!this.isPaused) return;
+    this.isPaused = false;
+    this.handleResize();
+    this.emit('resume');
+  }
+  
+  destroy() {
+    document.removeEventListener('DOMContentLoaded', this.domContentLoadedHandler);
+    this.unsubscribeScrollSources();
+    if (this.unobserve) {
+      this.unobserve();
+      this.unobserve = null;
+    }
+    if (this.unsubscribeResize) {
+      this.unsubscribeResize();
+    }
+    this.motionUnsubscribe();
+    this.unwatchBreakpoints();
+    this.restoreTargets();
+    this.emit('destroy');
+  }
 }
-window.ScrollBrightness = ScrollBrightness;
+
+ScrollBrightness.schema = {
+  offset: { type: 'number', min: 0, max: 100 },
+  scrollTriggerClass: { type: 'string', required: true },
+  parentClass: { type: 'string' },
+  zielKlasse: { type: 'string', required: true },
+  initialBrightness: { type: 'number', min: 0, max: 1 },
+  targetBrightness: { type: 'number', min: 0, max: 1 },
+  transitionTime: { type: 'string' },
+  easing: { type: 'string', enum: ['ease', 'ease-in', 'ease-out', 'ease-in-out'] },
+  keyframeLength: { type: 'number', min: 0 },
+  backgroundClass: { type: 'string' },
+  background: { type: 'string' },
+  fallbackMobileBackground: { type: 'string' },
+  linkAttribute: { type: 'string' },
+  fixedBackground: { type: 'boolean' },
+  scrollSource: scrollSourceRule,
+  observeDOM: { type: 'boolean' },
+  enabled: { type: 'boolean' },
+  reducedMotion: { type: ['boolean', 'string'], enum: ['auto', true, false] }
+};
+register('ScrollBrightness', ScrollBrightness);
+
+export { ScrollBrightness };
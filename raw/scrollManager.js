@@ -12,8 +12,98 @@
  * - hoverTriggers (Array<string>): CSS classes for hover triggers (optional).
  * - triggerElements (Array<string>): Element IDs for primary triggers (optional).
  * - conditionElements (Array<string>): Element IDs to monitor.
- * - conditionArray (Array<Object>): Conditions with conditionAttribute, conditionActive, conditionDisable.
- * - maxCheckDuration (number): Maximum duration for condition checks (default: 1000).
+ * - conditionArray (Array<Object>): Conditions under which page scrolling is locked (see Conditions below).
+ * - maxCheckDuration (number): No longer used; conditions are re-evaluated whenever a condition element
+ *   or one of its ancestors changes.
+ * - keyboard (boolean): Scrolls with the arrow keys, PageUp/PageDown, Space (Shift+Space up) and Home/End
+ *   unless an input has focus (default: true).
+ * - anchorLinks (boolean): Scrolls smoothly to the target of in-page links such as href="#section", also
+ *   when the page is opened with a hash or the hash changes (default: true).
+ * - anchorOffset (number|string): Space in pixels kept free above anchor targets and focused elements, or a
+ *   selector of a fixed navbar whose height is used (default: 0).
+ * - updateHash (boolean): Adds the hash of a clicked anchor link to the URL and browser history (default: true).
+ * - focusScroll (boolean): Scrolls elements that receive focus, e.g. by tabbing, into view (default: true).
+ * - physics (boolean|string): Physics mode instead of eased fixed steps: wheel input is scaled by its actual
+ *   deltaY and deltaMode (so trackpads scroll precisely), the position follows the target with velocity
+ *   ('lerp' or true, or 'spring'), and touch scrolling keeps its momentum after release (default: false).
+ * - lerp (number): Share (0-1) of the remaining distance covered per frame with physics 'lerp' (default: 0.1).
+ * - stiffness (number), damping (number): Spring constants with physics 'spring' (default: 170 and 26, which
+ *   stops without oscillating).
+ * - wheelMultiplier (number), touchMultiplier (number): Scale of wheel and touch input in physics mode
+ *   (default: 1).
+ * - friction (number): Share (0-0.99) of the touch momentum kept per frame after release (default: 0.95).
+ *   Values of 1 and above would keep the momentum forever and are capped at 0.99.
+ * - bounce (boolean): In physics mode, scrolling past the top or bottom stretches the page with growing
+ *   resistance and springs back (default: false).
+ * - scrollRegions (Array<string>): Selectors of inner scroll areas (e.g. a scrollable menu) that keep receiving
+ *   wheel and touch scrolling while the page is locked with lock().
+ * - reducedMotion (boolean|string): 'auto' follows the WFLib motion policy, true/false force or ignore the
+ *   reduced-motion fallback (default: 'auto'). With reduced motion the page wrapper scrolls natively.
+ * - enabled (boolean): If false, the page scrolls natively (default: true).
+ *
+ * Every option also accepts a breakpoint map such as { desktop: 100, tablet: 60 } (see core/breakpoints.js);
+ * the options are re-applied when the breakpoint changes.
+ *
+ * Lifecycle:
+ * - destroy(): Removes all listeners, observers, timers and the running animation and restores the
+ *   original styles of body and page wrapper.
+ * - refresh(): Re-queries condition elements and hover triggers and clamps the scroll position to the
+ *   current content height.
+ * - pause() / resume(): Stops and restarts handling wheel/touch input and condition checks.
+ * - getDebugInfo(): Whether scrolling is locked, shown as a badge by the debug overlay (see core/debug.js).
+ * - onScroll(handler): Calls the handler once per frame while the smoothed position changes, with
+ *   ({ scroll, limit, direction }). Returns a function to unsubscribe. This makes the instance a scroll
+ *   source for the scrollSource option of ScrollBrightness, ComboClassConfigurator and SpanFadeInStagger
+ *   (see core/scrollSource.js).
+ *
+ * Conditions:
+ * - { conditionAttribute, conditionActive, conditionDisable }: Locks when the computed style property of a
+ *   conditionElement equals conditionDisable and unlocks when it equals conditionActive. Numbers are compared
+ *   numerically ('1' equals '1.0'), everything else as text (e.g. display 'none').
+ * - { type: 'style', property, value }: The computed style property equals value.
+ * - { type: 'class', className, present }: The class is present, or absent with present: false.
+ * - { type: 'attribute', name, value }: The attribute equals value, or exists if value is left out,
+ *   e.g. { type: 'attribute', element: '.menu-button', name: 'aria-expanded', value: 'true' }.
+ * - { type: 'visible' }: The element is (partly) in the viewport.
+ * - { type: 'media', query }: The media query matches, e.g. '(max-width: 767px)'.
+ * - { all: [...] } / { any: [...] }: All or any of the nested conditions hold.
+ * Typed conditions check the elements matching `element` (selector or element, default: the
+ * conditionElements) and hold if one of them matches. The page is locked while any typed condition holds
+ * and unlocked otherwise. The conditions are re-evaluated once per frame after attribute, class or style
+ * changes on the condition elements or their ancestors, after CSS transitions and animations on them end,
+ * and when media queries or the visibility of watched elements change. A class change on a sibling or any
+ * other element that restyles a condition element (e.g. `.menu-open + .menu`) is not detected; point the
+ * condition at the element that changes instead.
+ *
+ * Scroll lock:
+ * - lock(ownerId, { allow }): Locks page scrolling for an owner such as 'menu' or 'modal'. Locks are counted
+ *   per owner, and the page stays locked until every owner has called unlock() as often as lock(). While
+ *   locked by lock(), wheel and touch scrolling is blocked except inside scrollRegions and the elements or
+ *   selectors in allow (a selector, an element, a NodeList or an array of them). Locks set before the
+ *   instance is initialized apply as soon as it is.
+ * - unlock(ownerId): Releases one lock of the owner.
+ * - isLocked(): Whether page scrolling is locked, by lock() or by the conditions.
+ * - getLockOwners(): The owners currently holding a lock, in the order they locked.
+ * Locks from the conditions (conditionArray) are independent of these owners; while only they lock the page,
+ * wheel and touch events are left to the browser.
+ *
+ * Programmatic scrolling:
+ * - scrollTo(target, { offset, duration, easing }): Scrolls to a pixel value, a percentage of the page such as
+ *   '50%', an element or a selector. Elements stop below anchorOffset; offset (px) is added to the position.
+ *   duration (ms, default: derived from smoothScrollFactor, 0 jumps) and easing (name or function) apply to
+ *   this scroll only. Returns a promise that resolves with the final position when the animation finishes
+ *   and rejects if it is interrupted by user input, stop() or another scrollTo(), or if scrolling is locked.
+ * - scrollBy(distance, options): Same as scrollTo() relative to the current target position.
+ * - stop(): Stops the running animation where it is.
+ * - getProgress(): Current position between 0 (top) and 1 (bottom).
+ * In physics mode keyboard and anchor scrolling follow the physics model, while scrollTo() keeps easing over
+ * its duration.
+ *
+ * Events (published as "scroll:<event>" on the WFLib event bus):
+ * - lock: A condition or lock() disabled page scrolling (e.g. an open menu) ({ owners }).
+ * - unlock: Page scrolling was enabled again.
+ * - disable, enable: `enabled` changed with the breakpoint.
+ * - init, pause, resume, refresh, destroy
  *
  * Example instantiation (asynchron sicher):
  * window.addEventListener('DOMContentLoaded', () => {
@@ -35,286 +125,1216 @@
  * @version 1.0.0
  * @license MIT
  */
-(function(global) {
-  class ScrollManager {
-    constructor(options) {
-      this.options = options;
-      this.handleWheel = this.handleWheel.bind(this);
-      this.handleTouchStart = this.handleTouchStart.bind(this);
-      this.handleTouchMove = this.handleTouchMove.bind(this);
-      this.handleTouchEnd = this.handleTouchEnd.bind(this);
-      this.handleEvent = this.handleEvent.bind(this);
-      this.animateScroll = this.animateScroll.bind(this);
-
-      this.debounceTimeout = null;
-      this.debounceDelay = 50;
-
-      this.scrollSpeed = options.scrollSpeed || 100;
-      this.smoothScrollFactor = options.smoothScrollFactor || 50;
-      this.pageWrapperId = options.pageWrapper || 'pagewrapper';
-      this.easingMode = options.easingMode || 'ease';
-      this.checkEvent = options.checkEvent || 'scroll';
-      this.hoverTriggers = options.hoverTriggers || [];
-      this.triggerElements = options.triggerElements || [];
-      this.conditionElementsIDs = options.conditionElements || [];
-      this.conditionArray = options.conditionArray || [];
-      this.maxCheckDuration = options.maxCheckDuration || 1000;
-      this.numChecks = 5;
-      this.targetScroll = 0;
-      this.currentScroll = 0;
-      this.isAnimating = false;
-      this.startScroll = 0;
-      this.startTime = null;
+import * as eventBus from './core/eventBus.js';
+import { register } from './core/registry.js';
+import { isReducedMotion, onMotionChange } from './core/motion.js';
+import * as scheduler from './core/scheduler.js';
+import { validate, reportDiagnostic } from './core/validator.js';
+import { resolveOptions, watchBreakpoints, isEnabled } from './core/breakpoints.js';
+
+const FRAME_DURATION = 1000 / 60;
+// Pixels per wheel line (deltaMode 1), about what browsers scroll per line themselves.
+const LINE_HEIGHT = 40;
+// Farthest overscroll with bounce, as share of the viewport height.
+const BOUNCE_LIMIT = 0.15;
+// Time without input after which an overscroll springs back.
+const BOUNCE_DELAY = 120;
+
+const CONDITION_TYPES = {
+  style: ['property', 'value'],
+  class: ['className'],
+  attribute: ['name'],
+  visible: [],
+  media: ['query']
+};
+
+function getConditionGroup(condition) {
+  if (Array.isArray(condition.all)) return 'all';
+  if (Array.isArray(condition.any)) return 'any';
+  return null;
+}
+
+function isLegacyCondition(condition) {
+  return Boolean(condition) && condition.type === undefined && !getConditionGroup(condition);
+}
+
+function checkCondition(condition, label) {
+  if (!condition || typeof condition !== 'object') return `${label} must be an object.`;
+  const group = getConditionGroup(condition);
+  if (group) {
+    for (let index = 0; index < condition[group].length; index++) {
+      const message = checkCondition(condition[group][index], `${label}.${group}[${index}]`);
+      if (message) return message;
+    }
+    return null;
+  }
+  if (condition.type === undefined) {
+    return condition.conditionAttribute ? null : `${label} needs a type, all/any or conditionAttribute.`;
+  }
+  const required = CONDITION_TYPES[condition.type];
+  if (!required) {
+    return `${label} has an unknown type "${condition.type}" (expected one of ${Object.keys(CONDITION_TYPES).join(', ')}).`;
+  }
+  const missing = required.find(key => condition[key] === undefined);
+  return missing ? `${label} of type "${condition.type}" needs '${missing}'.` : null;
+}
+
+// Expands NodeLists and arrays of allowed regions and drops values that are neither selectors nor elements.
+function toRegions(value) {
+  if (typeof value === 'string' || value instanceof Element) return [value];
+  if (value && typeof value.length === 'number') return Array.from(value).flatMap(toRegions);
+  return [];
+}
+
+function checkConditionArray(conditions) {
+  for (let index = 0; index < conditions.length; index++) {
+    const message = checkCondition(conditions[index], `entry ${index}`);
+    if (message) return message;
+  }
+  return null;
+}
+
+class ScrollManager {
+  constructor(options) {
+    validate('ScrollManager', options, ScrollManager.schema);
+    this.handleWheel = this.handleWheel.bind(this);
+    this.handleTouchStart = this.handleTouchStart.bind(this);
+    this.handleTouchMove = this.handleTouchMove.bind(this);
+    this.handleTouchEnd = this.handleTouchEnd.bind(this);
+    this.handleLockedTouchMove = this.handleLockedTouchMove.bind(this);
+    this.handleEvent = this.handleEvent.bind(this);
+    this.handleMutations = this.handleMutations.bind(this);
+    this.handleConditionTransition = this.handleConditionTransition.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleAnchorClick = this.handleAnchorClick.bind(this);
+    this.handleHashChange = this.handleHashChange.bind(this);
+    this.handleFocusIn = this.handleFocusIn.bind(this);
+    this.handleNativeScroll = this.handleNativeScroll.bind(this);
+    this.animateScroll = this.animateScroll.bind(this);
+    this.animatePhysics = this.animatePhysics.bind(this);
+
+    this.easingFunctions = {
+      ease: this.ease,
+      'ease-in': this.easeIn,
+      'ease-out': this.easeOut,
+      'ease-in-out': this.easeInOut
+    };
+
+    this.applyOptions(resolveOptions(options));
+    this.unwatchBreakpoints = watchBreakpoints(options, resolved => this.applyBreakpoint(resolved));
+    this.isReducedMotion = isReducedMotion(this.reducedMotion);
+    this.targetScroll = 0;
+    this.currentScroll = 0;
+    this.isAnimating = false;
+    this.startScroll = 0;
+    this.startTime = null;
+    this.isTouching = false;
+    this.touchStartY = 0;
+    this.touchDeltaY = 0;
+    this.isScrollingEnabled = true;
+    this.isConditionLocked = false;
+    this.locks = new Map();
+    this.isPaused = false;
+    this.stopScrollLoop = null;
+    this.cancelCheck = null;
+    this.scrollHandlers = new Set();
+    this.cancelPublish = null;
+    this.lastPublished = null;
+    this.scrollRequest = null;
+    this.animationOptions = null;
+    this.activeLoop = null;
+    this.lastFrameTime = null;
+    this.lastInputTime = 0;
+    this.velocity = 0;
+    this.momentum = 0;
+    this.touchVelocity = 0;
+    this.lastTouchTime = 0;
+    this.overscroll = 0;
+    this.mutationObserver = null;
+    this.conditionTargets = new Set();
+    this.watchedElements = new Set();
+    this.visibilityObserver = null;
+    this.visibleElements = new Set();
+    this.mediaQueries = [];
+    this.hoverElements = [];
+    this.conditionElements = [];
+    this.conditions = [];
+
+    this.domContentLoadedHandler = () => {
+      if (!this.isEnabled) return;
+      this.init();
+      this.observeMutations();
+    };
+    this.motionUnsubscribe = onMotionChange(() => this.applyMotionPreference());
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', this.domContentLoadedHandler);
+    } else {
+      this.domContentLoadedHandler();
+    }
+  }
+
+  applyOptions(options) {
+    this.options = options;
+    this.scrollSpeed = options.scrollSpeed || 100;
+    this.smoothScrollFactor = options.smoothScrollFactor || 50;
+    this.pageWrapperId = options.pageWrapper || 'pagewrapper';
+    this.easingMode = this.easingFunctions[options.easingMode] ? options.easingMode : 'ease';
+    this.checkEvent = options.checkEvent || 'scroll';
+    this.hoverTriggers = options.hoverTriggers || [];
+    this.triggerElements = options.triggerElements || [];
+    this.conditionElementsIDs = options.conditionElements || [];
+    this.conditionArray = options.conditionArray || [];
+    this.maxCheckDuration = options.maxCheckDuration || 1000;
+    this.reducedMotion = options.reducedMotion !== undefined ? options.reducedMotion : 'auto';
+    this.keyboard = options.keyboard !== false;
+    this.anchorLinks = options.anchorLinks !== false;
+    this.anchorOffset = options.anchorOffset || 0;
+    this.updateHash = options.updateHash !== false;
+    this.focusScroll = options.focusScroll !== false;
+    this.scrollRegions = options.scrollRegions || [];
+    this.physics = options.physics === true ? 'lerp' : options.physics || false;
+    this.lerp = options.lerp || 0.1;
+    this.stiffness = options.stiffness || 170;
+    this.damping = options.damping || 26;
+    this.wheelMultiplier = options.wheelMultiplier || 1;
+    this.touchMultiplier = options.touchMultiplier || 1;
+    this.friction = Math.min(options.friction !== undefined ? options.friction : 0.95, 0.99);
+    this.bounce = options.bounce || false;
+    this.isEnabled = isEnabled(options);
+  }
+
+  applyBreakpoint(options) {
+    const wasEnabled = this.isEnabled;
+    const previousWrapperId = this.pageWrapperId;
+    this.applyOptions(options);
+    this.applyMotionPreference();
+    if (document.readyState === 'loading') return;
+    if (wasEnabled && !this.isEnabled) {
+      this.teardown();
+      this.emit('disable');
+    } else if (!wasEnabled && this.isEnabled) {
+      this.init();
+      this.observeMutations();
+      this.emit('enable');
+    } else if (this.isEnabled && previousWrapperId !== this.pageWrapperId) {
+      this.teardown();
+      this.init();
+      this.observeMutations();
+    } else if (this.isEnabled) {
+      this.refresh();
+    }
+  }
+
+  ease(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+  }
+
+  easeIn(t) {
+    return t * t * t;
+  }
+
+  easeOut(t) {
+    return 1 - Math.pow(1 - t, 3);
+  }
+
+  easeInOut(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+  }
+
+  init() {
+    this.pageWrapper = document.getElementById(this.pageWrapperId);
+    if (!this.pageWrapper) {
+      reportDiagnostic('ScrollManager', 'error', 'pageWrapper', `Element with ID "${this.pageWrapperId}" not found.`);
+      return;
+    }
+
+    this.originalStyles = {
+      bodyOverflow: document.body.style.overflow,
+      pageWrapper: this.pageWrapper.getAttribute('style')
+    };
+
+    document.body.style.overflow = 'hidden';
+    this.pageWrapper.style.position = 'fixed';
+    this.pageWrapper.style.top = '0';
+    this.pageWrapper.style.left = '0';
+    this.pageWrapper.style.width = '100%';
+    this.pageWrapper.style.height = '100%';
+    this.pageWrapper.style.overflow = this.getWrapperOverflow();
+
+    this.currentScroll = this.pageWrapper.scrollTop;
+    this.targetScroll = this.currentScroll;
+
+    window.addEventListener('wheel', this.handleWheel, { passive: false });
+    this.pageWrapper.addEventListener('touchstart', this.handleTouchStart, { passive: false });
+    this.pageWrapper.addEventListener('touchmove', this.handleTouchMove, { passive: false });
+    this.pageWrapper.addEventListener('touchend', this.handleTouchEnd, { passive: false });
+    this.pageWrapper.addEventListener('scroll', this.handleNativeScroll);
+    document.addEventListener('touchmove', this.handleLockedTouchMove, { passive: false });
+    document.addEventListener('keydown', this.handleKeyDown);
+    document.addEventListener('click', this.handleAnchorClick);
+    document.addEventListener('focusin', this.handleFocusIn);
+    window.addEventListener('hashchange', this.handleHashChange);
+    this.jumpToHash();
+
+    this.queryConditionElements();
+    this.setupToggleEventListeners();
+    this.checkConditions();
+    this.emit('init');
+  }
+
+  emit(type, detail = {}) {
+    eventBus.emit(`scroll:${type}`, { instance: this, ...detail });
+  }
+
+  getDebugInfo() {
+    let state = 'disabled';
+    if (this.isEnabled && this.pageWrapper) {
+      const owners = this.locks.size > 0 ? ` (${this.getLockOwners().join(', ')})` : '';
+      state = `${this.isScrollingEnabled ? 'unlocked' : `locked${owners}`} at ${Math.round(this.currentScroll)}px`;
+      if (this.isPaused) {
+        state += ' (paused)';
+      }
+    }
+    return { boxes: [], lines: [], badges: [`ScrollManager #${this.pageWrapperId}: ${state}`] };
+  }
+
+  onScroll(handler) {
+    this.scrollHandlers.add(handler);
+    return () => this.scrollHandlers.delete(handler);
+  }
+
+  // Published in the read phase of the next frame, so subscribers can measure without forcing a layout.
+  publishScroll() {
+    if (this.cancelPublish || this.scrollHandlers.size === 0) return;
+    this.cancelPublish = scheduler.measure(() => {
+      this.cancelPublish = null;
+      if (!this.pageWrapper || this.currentScroll === this.lastPublished) return;
+      const direction = this.lastPublished === null || this.currentScroll > this.lastPublished ? 1 : -1;
+      this.lastPublished = this.currentScroll;
+      const detail = { scroll: this.currentScroll, limit: this.getMaxScroll(), direction };
+      Array.from(this.scrollHandlers).forEach(handler => handler(detail));
+    });
+  }
+
+  getWrapperOverflow() {
+    return this.isReducedMotion ? 'auto' : 'hidden';
+  }
+
+  applyMotionPreference() {
+    const reduced = isReducedMotion(this.reducedMotion);
+    if (reduced === this.isReducedMotion) return;
+    this.isReducedMotion = reduced;
+    if (!this.pageWrapper) return;
+    if (reduced) {
       this.isTouching = false;
-      this.touchStartY = 0;
-      this.touchDeltaY = 0;
-      this.isScrollingEnabled = true;
+      this.rejectScroll('ScrollManager: Scrolling was stopped for reduced motion.');
+      this.stopAnimation();
+    } else {
+      this.currentScroll = this.pageWrapper.scrollTop;
+      this.targetScroll = this.currentScroll;
+    }
+    if (this.isScrollingEnabled) {
+      this.pageWrapper.style.overflow = this.getWrapperOverflow();
+    }
+  }
 
-      this.easingFunctions = {
-        ease: this.ease,
-        'ease-in': this.easeIn,
-        'ease-out': this.easeOut,
-        'ease-in-out': this.easeInOut
-      };
+  queryConditionElements() {
+    this.conditionElements = this.conditionElementsIDs.map((id, index) => {
+      const el = document.getElementById(id);
+      if (!el) {
+        reportDiagnostic('ScrollManager', 'warning', `conditionElements[${index}]`, `Element with ID '${id}' not found.`);
+      }
+      return el;
+    });
+    this.conditions = this.conditionArray
+      .map((condition, index) => (isLegacyCondition(condition) ? null : this.compileCondition(condition, `conditionArray[${index}]`)))
+      .filter(Boolean);
+  }
 
-      if (!this.easingFunctions[this.easingMode]) {
-        console.warn(`ScrollManager: Invalid easingMode "${this.easingMode}". Using "ease" as default.`);
-        this.easingMode = 'ease';
+  // Resolves the elements of a typed condition once, so evaluating it only reads their state.
+  compileCondition(condition, path) {
+    const group = getConditionGroup(condition);
+    if (group) {
+      return {
+        group,
+        conditions: condition[group].map((nested, index) => this.compileCondition(nested, `${path}.${group}[${index}]`))
+      };
+    }
+    if (condition.type === 'media') {
+      return { ...condition, mediaQuery: window.matchMedia(condition.query) };
+    }
+    let elements = this.conditionElements.filter(Boolean);
+    if (condition.element instanceof Element) {
+      elements = [condition.element];
+    } else if (typeof condition.element === 'string') {
+      try {
+        elements = Array.from(document.querySelectorAll(condition.element));
+      } catch (error) {
+        elements = [];
+      }
+      if (elements.length === 0) {
+        reportDiagnostic('ScrollManager', 'warning', `${path}.element`, `No element found for '${condition.element}'.`);
       }
+    }
+    return { ...condition, elements };
+  }
 
-      if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-          this.init();
-          this.observeMutations();
+  setupToggleEventListeners() {
+    switch (this.checkEvent) {
+      case 'scroll':
+        this.unsubscribeScroll = scheduler.onScroll(this.handleEvent);
+        break;
+      case 'click':
+        document.addEventListener('click', this.handleEvent);
+        break;
+      case 'hover':
+        this.hoverTriggers.forEach(cls => {
+          const elements = document.getElementsByClassName(cls);
+          Array.from(elements).forEach(el => {
+            el.addEventListener('mouseenter', this.handleEvent);
+            el.addEventListener('mouseleave', this.handleEvent);
+            this.hoverElements.push(el);
+          });
         });
-      } else {
-        this.init();
-        this.observeMutations();
-      }
+        break;
     }
+  }
 
-    ease(t) {
-      return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+  removeToggleEventListeners() {
+    if (this.unsubscribeScroll) {
+      this.unsubscribeScroll();
+      this.unsubscribeScroll = null;
     }
+    document.removeEventListener('click', this.handleEvent);
+    this.hoverElements.forEach(el => {
+      el.removeEventListener('mouseenter', this.handleEvent);
+      el.removeEventListener('mouseleave', this.handleEvent);
+    });
+    this.hoverElements = [];
+  }
+
+  enableScroll() {
+    if (!this.isScrollingEnabled) {
+      this.isScrollingEnabled = true;
+      document.body.style.overflow = 'hidden';
+      this.pageWrapper.style.overflow = this.getWrapperOverflow();
+      this.emit('unlock');
+    }
+  }
+
+  disableScroll() {
+    if (this.isScrollingEnabled) {
+      this.isScrollingEnabled = false;
+      document.body.style.overflow = '';
+      this.pageWrapper.style.overflow = '';
+      this.emit('lock', { owners: this.getLockOwners() });
+    }
+  }
+
+  updateLock() {
+    if (!this.pageWrapper) return;
+    if (this.isConditionLocked || this.locks.size > 0) {
+      this.disableScroll();
+    } else {
+      this.enableScroll();
+    }
+  }
+
+  lock(ownerId = 'default', options = {}) {
+    const entry = this.locks.get(ownerId) || { count: 0, allow: [] };
+    entry.count++;
+    if (options.allow) {
+      entry.allow = entry.allow.concat(toRegions(options.allow));
+    }
+    this.locks.set(ownerId, entry);
+    if (!this.pageWrapper || !this.isScrollingEnabled) return;
+    this.rejectScroll('ScrollManager: Scrolling was interrupted by lock().');
+    this.stopAnimation();
+    this.updateLock();
+  }
+
+  unlock(ownerId = 'default') {
+    const entry = this.locks.get(ownerId);
+    if (!entry) return;
+    entry.count--;
+    if (entry.count > 0) return;
+    this.locks.delete(ownerId);
+    this.updateLock();
+  }
+
+  // Read from the locks and the last condition result, so locks taken before init() count as well.
+  isLocked() {
+    return this.locks.size > 0 || this.isConditionLocked;
+  }
+
+  getLockOwners() {
+    return Array.from(this.locks.keys());
+  }
+
+  isInScrollRegion(target) {
+    if (!(target instanceof Element)) return false;
+    const regions = this.scrollRegions.concat(...Array.from(this.locks.values()).map(entry => entry.allow));
+    return regions.some(region => (typeof region === 'string' ? target.closest(region) !== null : region.contains(target)));
+  }
 
-    easeIn(t) {
-      return t * t * t;
+  // Locks from lock() block scrolling outside the allowed regions, so the page behind an overlay stays put.
+  blockLockedScroll(event) {
+    if (this.locks.size === 0 || this.isInScrollRegion(event.target)) return;
+    if (event.cancelable) {
+      event.preventDefault();
     }
+  }
 
-    easeOut(t) {
-      return 1 - Math.pow(1 - t, 3);
+  handleLockedTouchMove(event) {
+    if (this.isPaused || this.isScrollingEnabled) return;
+    this.blockLockedScroll(event);
+  }
+
+  handleWheel(event) {
+    if (this.isPaused) return;
+    if (!this.isScrollingEnabled) {
+      this.blockLockedScroll(event);
+      return;
+    }
+    if (this.isReducedMotion) return;
+    // Pinch zoom on trackpads arrives as wheel events with ctrlKey.
+    if (this.physics && event.ctrlKey) return;
+    event.preventDefault();
+    this.interruptScroll();
+    if (this.physics) {
+      this.momentum = 0;
+      this.lastInputTime = performance.now();
+      this.targetScroll = this.addScrollDelta(this.getWheelDelta(event) * this.wheelMultiplier);
+    } else {
+      this.targetScroll += event.deltaY > 0 ? this.scrollSpeed : -this.scrollSpeed;
+      this.targetScroll = this.clampScroll(this.targetScroll);
     }
+    this.startAnimation();
+  }
 
-    easeInOut(t) {
-      return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+  getWheelDelta(event) {
+    if (event.deltaMode === 1) return event.deltaY * LINE_HEIGHT;
+    if (event.deltaMode === 2) return event.deltaY * window.innerHeight;
+    return event.deltaY;
+  }
+
+  // Adds a distance to the target; with bounce the target may pass the edges with growing resistance.
+  addScrollDelta(delta) {
+    const target = this.targetScroll + delta;
+    if (!this.bounce) return this.clampScroll(target);
+    const maxScroll = this.getMaxScroll();
+    if (target >= 0 && target <= maxScroll) return target;
+    const edge = target < 0 ? 0 : maxScroll;
+    const limit = window.innerHeight * BOUNCE_LIMIT;
+    const overshoot = target - edge;
+    return edge + Math.sign(overshoot) * limit * (1 - Math.exp(-Math.abs(overshoot) / limit));
+  }
+
+  canScroll() {
+    return Boolean(this.pageWrapper) && !this.isPaused && !this.isReducedMotion && this.isScrollingEnabled;
+  }
+
+  getMaxScroll() {
+    return Math.max(0, this.pageWrapper.scrollHeight - window.innerHeight);
+  }
+
+  clampScroll(value) {
+    return Math.max(0, Math.min(value, this.getMaxScroll()));
+  }
+
+  getAnchorOffset() {
+    if (typeof this.anchorOffset !== 'string') return this.anchorOffset;
+    const navbar = document.querySelector(this.anchorOffset);
+    return navbar ? navbar.offsetHeight : 0;
+  }
+
+  // Scroll position at which the element starts right below the anchor offset.
+  getElementScroll(element) {
+    const top = element.getBoundingClientRect().top - this.pageWrapper.getBoundingClientRect().top;
+    return this.pageWrapper.scrollTop + top - this.getAnchorOffset();
+  }
+
+  // Unlike wheel steps, these jumps restart the easing from the current position towards the new target.
+  // Called for user input, so a running scrollTo() is interrupted.
+  animateTo(position) {
+    this.interruptScroll();
+    this.retarget(position);
+  }
+
+  retarget(position) {
+    this.targetScroll = this.clampScroll(position);
+    this.momentum = 0;
+    if (this.isAnimating && this.activeLoop === this.animateScroll && this.getAnimationLoop() === this.animateScroll) {
+      this.startTime = null;
+      this.startScroll = this.pageWrapper.scrollTop;
+    } else {
+      this.startAnimation();
     }
+  }
 
-    init() {
-      this.pageWrapper = document.getElementById(this.pageWrapperId);
-      if (!this.pageWrapper) {
-        console.error(`ScrollManager: Element with ID "${this.pageWrapperId}" not found.`);
+  handleKeyDown(event) {
+    if (!this.keyboard || !this.canScroll() || event.defaultPrevented) return;
+    if (event.altKey || event.ctrlKey || event.metaKey) return;
+    const target = event.target instanceof Element ? event.target : null;
+    if (target && target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]')) return;
+    const page = window.innerHeight - this.getAnchorOffset() - 40;
+    let position;
+    switch (event.key) {
+      case 'ArrowDown':
+        position = this.targetScroll + this.scrollSpeed;
+        break;
+      case 'ArrowUp':
+        position = this.targetScroll - this.scrollSpeed;
+        break;
+      case 'PageDown':
+        position = this.targetScroll + page;
+        break;
+      case 'PageUp':
+        position = this.targetScroll - page;
+        break;
+      case ' ':
+        // Space presses focused buttons (form controls are skipped above); on links it scrolls as usual.
+        if (target && target.closest('button, summary, [role="button"]')) return;
+        position = this.targetScroll + (event.shiftKey ? -page : page);
+        break;
+      case 'Home':
+        position = 0;
+        break;
+      case 'End':
+        position = this.getMaxScroll();
+        break;
+      default:
         return;
-      }
+    }
+    event.preventDefault();
+    this.animateTo(position);
+  }
 
-      document.body.style.overflow = 'hidden';
-      this.pageWrapper.style.position = 'fixed';
-      this.pageWrapper.style.top = '0';
-      this.pageWrapper.style.left = '0';
-      this.pageWrapper.style.width = '100%';
-      this.pageWrapper.style.height = '100%';
-      this.pageWrapper.style.overflow = 'hidden';
+  getHashTarget(hash) {
+    if (!hash || hash.length < 2) return null;
+    let id;
+    try {
+      id = decodeURIComponent(hash.slice(1));
+    } catch (error) {
+      return null;
+    }
+    const element = document.getElementById(id);
+    return element && this.pageWrapper.contains(element) ? element : null;
+  }
 
+  handleAnchorClick(event) {
+    if (!this.anchorLinks || !this.canScroll() || event.defaultPrevented) return;
+    if (event.button !== 0 || event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+    const link = event.target instanceof Element ? event.target.closest('a[href*="#"]') : null;
+    if (!link || link.target === '_blank') return;
+    const { host, pathname, search } = window.location;
+    if (link.host !== host || link.pathname !== pathname || link.search !== search) return;
+    const element = this.getHashTarget(link.hash);
+    if (!element) return;
+    event.preventDefault();
+    if (this.updateHash && link.hash !== window.location.hash) {
+      window.history.pushState(null, '', link.hash);
+    }
+    this.animateTo(this.getElementScroll(element));
+  }
+
+  handleHashChange() {
+    if (!this.anchorLinks || !this.canScroll()) return;
+    const element = this.getHashTarget(window.location.hash);
+    if (element) {
+      this.animateTo(this.getElementScroll(element));
+    }
+  }
+
+  // The browser cannot jump to the hash on load because the page wrapper is fixed, so it is done here.
+  jumpToHash() {
+    if (!this.anchorLinks || this.isReducedMotion) return;
+    const element = this.getHashTarget(window.location.hash);
+    if (!element) return;
+    this.currentScroll = this.clampScroll(this.getElementScroll(element));
+    this.targetScroll = this.currentScroll;
+    this.pageWrapper.scrollTop = this.currentScroll;
+    this.publishScroll();
+  }
+
+  handleFocusIn(event) {
+    if (!this.focusScroll || !this.canScroll()) return;
+    const element = event.target;
+    if (!(element instanceof Element) || !this.pageWrapper.contains(element)) return;
+    const rect = element.getBoundingClientRect();
+    const top = this.getAnchorOffset();
+    if (rect.top < top) {
+      this.animateTo(this.getElementScroll(element));
+    } else if (rect.bottom > window.innerHeight) {
+      this.animateTo(this.pageWrapper.scrollTop + Math.min(rect.bottom - window.innerHeight, rect.top - top));
+    }
+  }
+
+  // Browsers still scroll the wrapper natively, e.g. to reveal a focused element; keep the state in sync.
+  handleNativeScroll() {
+    if (!this.isAnimating && !this.isTouching) {
       this.currentScroll = this.pageWrapper.scrollTop;
       this.targetScroll = this.currentScroll;
+    }
+    this.publishScroll();
+  }
 
-      window.addEventListener('wheel', this.handleWheel, { passive: false });
-      this.pageWrapper.addEventListener('touchstart', this.handleTouchStart, { passive: false });
-      this.pageWrapper.addEventListener('touchmove', this.handleTouchMove, { passive: false });
-      this.pageWrapper.addEventListener('touchend', this.handleTouchEnd, { passive: false });
+  handleTouchStart(event) {
+    if (this.isPaused || this.isReducedMotion || !this.isScrollingEnabled) return;
+    if (event.touches.length === 1) {
+      this.interruptScroll();
+      this.isTouching = true;
+      this.touchStartY = event.touches[0].clientY;
+      this.touchDeltaY = 0;
+      this.momentum = 0;
+      this.touchVelocity = 0;
+      this.lastTouchTime = event.timeStamp;
+    }
+  }
 
-      this.conditionElements = this.conditionElementsIDs.map((id, index) => {
-        const el = document.getElementById(id);
-        if (!el) {
-          console.warn(`ScrollManager: Condition element at index ${index} (ID: '${id}') is not defined.`);
-        }
-        return el;
-      });
+  handleTouchMove(event) {
+    if (this.isTouching && event.touches.length === 1) {
+      const touchCurrentY = event.touches[0].clientY;
+      this.touchDeltaY = this.touchStartY - touchCurrentY;
+      if (this.physics) {
+        const delta = this.touchDeltaY * this.touchMultiplier;
+        const elapsed = Math.max(1, event.timeStamp - this.lastTouchTime);
+        // Smoothed finger speed in px/ms, the start speed of the momentum after release.
+        this.touchVelocity = 0.8 * (delta / elapsed) + 0.2 * this.touchVelocity;
+        this.lastTouchTime = event.timeStamp;
+        this.lastInputTime = performance.now();
+        this.targetScroll = this.addScrollDelta(delta);
+      } else {
+        this.targetScroll = this.clampScroll(this.targetScroll + this.touchDeltaY);
+      }
+      this.touchStartY = touchCurrentY;
+      this.startAnimation();
+    }
+  }
 
-      this.setupToggleEventListeners();
-      this.checkConditions();
+  handleTouchEnd(event) {
+    if (!this.isTouching) return;
+    this.isTouching = false;
+    if (!this.physics || !this.pageWrapper) return;
+    // A finger that rested before lifting does not fling.
+    const isFling = event.timeStamp - this.lastTouchTime < 100;
+    this.momentum = isFling ? this.touchVelocity * FRAME_DURATION : 0;
+    this.lastInputTime = performance.now();
+    this.startAnimation();
+  }
+
+  getAnimationLoop() {
+    return this.physics && !this.animationOptions ? this.animatePhysics : this.animateScroll;
+  }
+
+  startAnimation() {
+    const loop = this.getAnimationLoop();
+    if (this.isAnimating && this.activeLoop === loop) return;
+    if (this.isAnimating) {
+      this.stopScrollLoop();
+    }
+    if (loop === this.animateScroll) {
+      this.setOverscroll(0);
     }
+    this.isAnimating = true;
+    this.activeLoop = loop;
+    this.startTime = null;
+    this.lastFrameTime = null;
+    this.startScroll = this.pageWrapper.scrollTop;
+    this.stopScrollLoop = scheduler.onFrame(loop);
+  }
 
-    setupToggleEventListeners() {
-      switch (this.checkEvent) {
-        case 'scroll':
-          window.addEventListener('scroll', this.handleEvent);
-          break;
-        case 'click':
-          document.addEventListener('click', this.handleEvent);
-          break;
-        case 'hover':
-          this.hoverTriggers.forEach(cls => {
-            const elements = document.getElementsByClassName(cls);
-            Array.from(elements).forEach(el => {
-              el.addEventListener('mouseenter', this.handleEvent);
-              el.addEventListener('mouseleave', this.handleEvent);
-            });
-          });
-          break;
-        default:
-          console.warn(`ScrollManager: Unknown checkEvent '${this.checkEvent}'.`);
+  finishAnimation() {
+    this.stopScrollLoop();
+    this.stopScrollLoop = null;
+    this.isAnimating = false;
+    this.activeLoop = null;
+    this.velocity = 0;
+  }
+
+  // Applies the position; the part beyond the edges (bounce) moves the page wrapper instead.
+  renderScroll() {
+    const position = this.clampScroll(this.currentScroll);
+    this.pageWrapper.scrollTop = position;
+    this.setOverscroll(position - this.currentScroll);
+    this.publishScroll();
+  }
+
+  setOverscroll(distance) {
+    const rounded = Math.round(distance * 10) / 10;
+    if (rounded === this.overscroll || !this.pageWrapper) return;
+    this.overscroll = rounded;
+    this.pageWrapper.style.transform = rounded === 0 ? '' : `translateY(${rounded}px)`;
+  }
+
+  animatePhysics(timestamp) {
+    const elapsed = this.lastFrameTime === null ? FRAME_DURATION : Math.min(timestamp - this.lastFrameTime, 64);
+    this.lastFrameTime = timestamp;
+    const frames = elapsed / FRAME_DURATION;
+    const maxScroll = this.getMaxScroll();
+    if (this.momentum !== 0 && !this.isTouching) {
+      this.targetScroll = this.addScrollDelta(this.momentum * frames);
+      const isOverscrolled = this.targetScroll < 0 || this.targetScroll > maxScroll;
+      this.momentum *= Math.pow(isOverscrolled ? this.friction * 0.5 : this.friction, frames);
+      if (Math.abs(this.momentum) < 0.1) {
+        this.momentum = 0;
+        this.lastInputTime = timestamp;
       }
     }
+    if (!this.isTouching && this.momentum === 0 && timestamp - this.lastInputTime > BOUNCE_DELAY) {
+      this.targetScroll = this.clampScroll(this.targetScroll);
+    }
 
-    enableScroll() {
-      if (!this.isScrollingEnabled) {
-        this.isScrollingEnabled = true;
-        document.body.style.overflow = 'hidden';
-        this.pageWrapper.style.overflow = 'hidden';
-      }
+    const previous = this.currentScroll;
+    if (this.isTouching) {
+      // The page sticks to the finger.
+      this.currentScroll = this.targetScroll;
+      this.velocity = (this.currentScroll - previous) / (elapsed / 1000);
+    } else if (this.physics === 'spring') {
+      const seconds = elapsed / 1000;
+      const force = this.stiffness * (this.targetScroll - this.currentScroll) - this.damping * this.velocity;
+      this.velocity += force * seconds;
+      this.currentScroll += this.velocity * seconds;
+    } else {
+      this.currentScroll += (this.targetScroll - this.currentScroll) * (1 - Math.pow(1 - this.lerp, frames));
+      this.velocity = (this.currentScroll - previous) / (elapsed / 1000);
     }
+    this.renderScroll();
 
-    disableScroll() {
-      if (this.isScrollingEnabled) {
-        this.isScrollingEnabled = false;
-        document.body.style.overflow = '';
-        this.pageWrapper.style.overflow = '';
-      }
+    const isSettled = this.momentum === 0 && Math.abs(this.targetScroll - this.currentScroll) < 0.5 && Math.abs(this.velocity) < 20;
+    if (isSettled && this.targetScroll >= 0 && this.targetScroll <= maxScroll) {
+      this.currentScroll = this.targetScroll;
+      this.renderScroll();
+      this.finishAnimation();
     }
+  }
 
-    handleWheel(event) {
-      if (this.isScrollingEnabled) {
-        event.preventDefault();
-        this.targetScroll += event.deltaY > 0 ? this.scrollSpeed : -this.scrollSpeed;
-        const maxScroll = this.pageWrapper.scrollHeight - window.innerHeight;
-        this.targetScroll = Math.max(0, Math.min(this.targetScroll, maxScroll));
-        if (!this.isAnimating) {
-          this.isAnimating = true;
-          this.startTime = null;
-          this.startScroll = this.pageWrapper.scrollTop;
-          requestAnimationFrame(this.animateScroll);
-        }
+  getDuration() {
+    const baseDuration = 1000;
+    return baseDuration * (this.smoothScrollFactor / 100);
+  }
+
+  animateScroll(timestamp) {
+    if (!this.startTime) this.startTime = timestamp;
+    const elapsed = timestamp - this.startTime;
+    const duration = this.animationOptions ? this.animationOptions.duration : this.getDuration();
+    const progress = Math.min(elapsed / duration, 1);
+    const easingFunction = this.animationOptions ? this.animationOptions.easing : this.easingFunctions[this.easingMode];
+    const easedProgress = easingFunction(progress);
+    this.currentScroll = this.startScroll + (this.targetScroll - this.startScroll) * easedProgress;
+    this.pageWrapper.scrollTop = this.currentScroll;
+    this.publishScroll();
+    if (progress >= 1) {
+      this.currentScroll = this.targetScroll;
+      this.pageWrapper.scrollTop = this.currentScroll;
+      this.finishAnimation();
+      this.animationOptions = null;
+      if (this.scrollRequest) {
+        const { resolve } = this.scrollRequest;
+        this.scrollRequest = null;
+        resolve(this.currentScroll);
       }
     }
+  }
 
-    handleTouchStart(event) {
-      if (event.touches.length === 1) {
-        this.isTouching = true;
-        this.touchStartY = event.touches[0].clientY;
-        this.touchDeltaY = 0;
+  resolveScrollTarget(target) {
+    if (typeof target === 'number') return target;
+    if (typeof target === 'string' && /^-?\d+(\.\d+)?%$/.test(target.trim())) {
+      return parseFloat(target) / 100 * this.getMaxScroll();
+    }
+    let element = target;
+    if (typeof target === 'string') {
+      try {
+        element = document.querySelector(target);
+      } catch (error) {
+        element = null;
       }
     }
+    return element instanceof Element && this.pageWrapper.contains(element) ? this.getElementScroll(element) : null;
+  }
 
-    handleTouchMove(event) {
-      if (this.isTouching && event.touches.length === 1) {
-        const touchCurrentY = event.touches[0].clientY;
-        this.touchDeltaY = this.touchStartY - touchCurrentY;
-        this.targetScroll += this.touchDeltaY;
-        const maxScroll = this.pageWrapper.scrollHeight - window.innerHeight;
-        this.targetScroll = Math.max(0, Math.min(this.targetScroll, maxScroll));
-        this.touchStartY = touchCurrentY;
-        if (!this.isAnimating) {
-          this.isAnimating = true;
-          this.startTime = null;
-          this.startScroll = this.pageWrapper.scrollTop;
-          requestAnimationFrame(this.animateScroll);
-        }
-      }
+  scrollTo(target, options = {}) {
+    if (!this.pageWrapper || this.isPaused || !this.isScrollingEnabled) {
+      const state = !this.pageWrapper ? 'not initialized' : this.isPaused ? 'paused' : 'locked';
+      return Promise.reject(new Error(`ScrollManager: Cannot scroll while scrolling is ${state}.`));
+    }
+    const position = this.resolveScrollTarget(target);
+    if (position === null) {
+      return Promise.reject(new Error(`ScrollManager: Scroll target ${typeof target === 'string' ? `"${target}"` : target} not found.`));
     }
+    this.rejectScroll('ScrollManager: Scrolling was interrupted by another scrollTo().');
+    const destination = this.clampScroll(position + (options.offset || 0));
+    const duration = options.duration !== undefined ? options.duration : this.getDuration();
+    if (this.isReducedMotion || duration <= 0) {
+      this.stopAnimation();
+      this.currentScroll = destination;
+      this.targetScroll = destination;
+      this.pageWrapper.scrollTop = destination;
+      this.publishScroll();
+      return Promise.resolve(destination);
+    }
+    const easing = typeof options.easing === 'function' ? options.easing : this.easingFunctions[options.easing || this.easingMode];
+    return new Promise((resolve, reject) => {
+      this.scrollRequest = { resolve, reject };
+      this.animationOptions = { duration, easing: easing || this.easingFunctions[this.easingMode] };
+      this.retarget(destination);
+    });
+  }
 
-    handleTouchEnd(event) {
-      if (this.isTouching) {
-        this.isTouching = false;
-      }
+  scrollBy(distance, options = {}) {
+    return this.scrollTo(this.targetScroll + distance, options);
+  }
+
+  stop() {
+    this.rejectScroll('ScrollManager: Scrolling was stopped.');
+    this.stopAnimation();
+  }
+
+  getProgress() {
+    if (!this.pageWrapper) return 0;
+    const maxScroll = this.getMaxScroll();
+    return maxScroll > 0 ? this.currentScroll / maxScroll : 0;
+  }
+
+  rejectScroll(message) {
+    if (!this.scrollRequest) return false;
+    const { reject } = this.scrollRequest;
+    this.scrollRequest = null;
+    reject(new Error(message));
+    return true;
+  }
+
+  // User input takes over from a running scrollTo(), starting from where the page is now.
+  interruptScroll() {
+    if (this.rejectScroll('ScrollManager: Scrolling was interrupted by user input.')) {
+      this.stopAnimation();
     }
+  }
 
-    animateScroll(timestamp) {
-      if (!this.startTime) this.startTime = timestamp;
-      const elapsed = timestamp - this.startTime;
-      const baseDuration = 1000;
-      const duration = baseDuration * (this.smoothScrollFactor / 100);
-      const progress = Math.min(elapsed / duration, 1);
-      const easingFunction = this.easingFunctions[this.easingMode];
-      const easedProgress = easingFunction(progress);
-      this.currentScroll = this.startScroll + (this.targetScroll - this.startScroll) * easedProgress;
-      this.pageWrapper.scrollTop = this.currentScroll;
-      if (progress < 1) {
-        requestAnimationFrame(this.animateScroll);
-      } else {
-        this.currentScroll = this.targetScroll;
-        this.pageWrapper.scrollTop = this.currentScroll;
-        this.isAnimating = false;
-      }
+  handleEvent() {
+    this.scheduleCheck();
+  }
+
+  // The manager writes overflow and the bounce transform to the page wrapper itself; those writes are skipped.
+  handleMutations(records) {
+    const isOwnWrite = record => record.target === this.pageWrapper
+      && record.attributeName === 'style'
+      && !this.conditionTargets.has(this.pageWrapper);
+    if (records.some(record => !isOwnWrite(record))) {
+      this.scheduleCheck();
     }
+  }
+
+  handleConditionTransition(event) {
+    if (this.watchedElements.has(event.target)) {
+      this.scheduleCheck();
+    }
+  }
 
-    handleEvent(event) {
+  // Any number of changes within a frame lead to one evaluation in its read phase.
+  scheduleCheck() {
+    if (this.isPaused || this.cancelCheck) return;
+    this.cancelCheck = scheduler.measure(() => {
+      this.cancelCheck = null;
       this.checkConditions();
-      clearTimeout(this.debounceTimeout);
-      this.debounceTimeout = setTimeout(() => {
-        this.checkConditions();
-      }, this.debounceDelay);
-      const interval = Math.round(this.maxCheckDuration / this.numChecks);
-      for (let i = 1; i <= this.numChecks; i++) {
-        const timeout = interval * i;
-        setTimeout(() => {
-          this.checkConditions();
-        }, timeout);
-      }
+    });
+  }
+
+  cancelScheduledCheck() {
+    if (this.cancelCheck) {
+      this.cancelCheck();
+      this.cancelCheck = null;
     }
+  }
 
-    checkConditions() {
-      let shouldEnableScroll = false;
-      let shouldDisableScroll = false;
-  
-      this.conditionArray.forEach(condition => {
-        const { conditionAttribute, conditionActive, conditionDisable } = condition;
-        this.conditionElements.forEach(element => {
-          if (!(element instanceof Element)) {
-            console.warn("ScrollManager: Condition element is not defined or not an Element.");
-            return;
-          }
-          const computedStyle = window.getComputedStyle(element);
-          const attributeValue = computedStyle.getPropertyValue(conditionAttribute).trim();
-          if (this.compareValues(attributeValue, conditionDisable)) {
-            shouldDisableScroll = true;
-          } else if (this.compareValues(attributeValue, conditionActive)) {
-            shouldEnableScroll = true;
-          }
-        });
+  stopAnimation() {
+    if (this.stopScrollLoop) {
+      this.stopScrollLoop();
+      this.stopScrollLoop = null;
+    }
+    this.isAnimating = false;
+    this.activeLoop = null;
+    this.animationOptions = null;
+    this.velocity = 0;
+    this.momentum = 0;
+    this.setOverscroll(0);
+    if (this.pageWrapper) {
+      this.currentScroll = this.pageWrapper.scrollTop;
+      this.targetScroll = this.currentScroll;
+    }
+  }
+
+  checkConditions() {
+    let shouldEnableScroll = false;
+    let shouldDisableScroll = false;
+
+    this.conditionArray.filter(isLegacyCondition).forEach(condition => {
+      const { conditionAttribute, conditionActive, conditionDisable } = condition;
+      // Missing condition elements are reported once by queryConditionElements().
+      this.conditionElements.forEach(element => {
+        if (!(element instanceof Element)) return;
+        const computedStyle = window.getComputedStyle(element);
+        const attributeValue = computedStyle.getPropertyValue(conditionAttribute).trim();
+        if (this.compareValues(attributeValue, conditionDisable)) {
+          shouldDisableScroll = true;
+        } else if (this.compareValues(attributeValue, conditionActive)) {
+          shouldEnableScroll = true;
+        }
       });
-  
-      if (shouldDisableScroll) {
-        this.disableScroll();
-      } else if (shouldEnableScroll) {
-        this.enableScroll();
+    });
+
+    if (this.conditions.length > 0) {
+      if (this.conditions.some(condition => this.evaluateCondition(condition))) {
+        shouldDisableScroll = true;
+      } else {
+        shouldEnableScroll = true;
       }
     }
 
-    compareValues(current, target) {
-      const currentValue = parseFloat(current);
-      const targetValue = parseFloat(target);
+    if (shouldDisableScroll) {
+      this.isConditionLocked = true;
+    } else if (shouldEnableScroll) {
+      this.isConditionLocked = false;
+    }
+    this.updateLock();
+  }
+
+  evaluateCondition(condition) {
+    if (condition.group === 'all') return condition.conditions.every(nested => this.evaluateCondition(nested));
+    if (condition.group === 'any') return condition.conditions.some(nested => this.evaluateCondition(nested));
+    switch (condition.type) {
+      case 'style':
+        return condition.elements.some(element => this.compareValues(
+          window.getComputedStyle(element).getPropertyValue(condition.property).trim(),
+          condition.value
+        ));
+      case 'class':
+        return condition.elements.some(element => element.classList.contains(condition.className) === (condition.present !== false));
+      case 'attribute':
+        return condition.elements.some(element => (condition.value === undefined
+          ? element.hasAttribute(condition.name)
+          : element.getAttribute(condition.name) === String(condition.value)));
+      case 'visible':
+        return condition.elements.some(element => this.visibleElements.has(element));
+      case 'media':
+        return condition.mediaQuery.matches;
+      default:
+        return false;
+    }
+  }
+
+  compareValues(current, target) {
+    const currentValue = parseFloat(current);
+    const targetValue = parseFloat(target);
+    if (!Number.isNaN(currentValue) && !Number.isNaN(targetValue)) {
       return currentValue === targetValue;
     }
+    return String(current).trim() === String(target).trim();
+  }
 
-    observeMutations() {
-      const attributesToObserve = this.conditionArray.map(cond => cond.conditionAttribute);
-      const config = { attributes: true, attributeFilter: attributesToObserve };
-      this.conditionElements.forEach(element => {
-        if (element instanceof Element) {
-          const observer = new MutationObserver(mutationsList => {
-            for (let mutation of mutationsList) {
-              if (mutation.type === "attributes") {
-                this.checkConditions();
+  forEachCondition(callback, conditions = this.conditions) {
+    conditions.forEach(condition => {
+      if (condition.group) {
+        this.forEachCondition(callback, condition.conditions);
+      } else {
+        callback(condition);
+      }
+    });
+  }
+
+  // Elements whose own state is read by the conditions.
+  getConditionTargets() {
+    const targets = new Set();
+    if (this.conditionArray.some(isLegacyCondition)) {
+      this.conditionElements.filter(Boolean).forEach(element => targets.add(element));
+    }
+    this.forEachCondition(condition => {
+      if (['style', 'class', 'attribute'].includes(condition.type)) {
+        condition.elements.forEach(element => targets.add(element));
+      }
+    });
+    return targets;
+  }
+
+  // Styles also change through classes on ancestors and through transitions, so the condition elements
+  // and their ancestors are watched, not the rest of the page.
+  observeMutations() {
+    if (!this.pageWrapper || this.conditionArray.length === 0) return;
+    const attributeFilter = new Set(['style', 'class', 'hidden', 'open']);
+    this.forEachCondition(condition => {
+      if (condition.type === 'attribute') {
+        attributeFilter.add(condition.name);
+      } else if (condition.type === 'visible') {
+        if (!this.visibilityObserver) {
+          this.visibilityObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+              if (entry.isIntersecting) {
+                this.visibleElements.add(entry.target);
+              } else {
+                this.visibleElements.delete(entry.target);
               }
-            }
+            });
+            this.scheduleCheck();
           });
-          observer.observe(element, config);
-        } else {
-          console.warn("ScrollManager: Condition element is not defined or not an Element. MutationObserver not set up.");
         }
-      });
+        condition.elements.forEach(element => this.visibilityObserver.observe(element));
+      } else if (condition.type === 'media') {
+        const mediaQuery = condition.mediaQuery;
+        if (typeof mediaQuery.addEventListener === 'function') {
+          mediaQuery.addEventListener('change', this.handleEvent);
+        } else if (typeof mediaQuery.addListener === 'function') {
+          mediaQuery.addListener(this.handleEvent);
+        }
+        this.mediaQueries.push(mediaQuery);
+      }
+    });
+    this.conditionTargets = this.getConditionTargets();
+    this.conditionTargets.forEach(element => {
+      for (let node = element; node; node = node.parentElement) {
+        this.watchedElements.add(node);
+      }
+    });
+    if (this.watchedElements.size === 0) return;
+    this.mutationObserver = new MutationObserver(this.handleMutations);
+    this.watchedElements.forEach(element => this.mutationObserver.observe(element, {
+      attributes: true,
+      attributeFilter: Array.from(attributeFilter)
+    }));
+    document.addEventListener('transitionend', this.handleConditionTransition, true);
+    document.addEventListener('animationend', this.handleConditionTransition, true);
+  }
+
+  disconnectMutations() {
+    this.cancelScheduledCheck();
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+    }
+    if (this.visibilityObserver) {
+      this.visibilityObserver.disconnect();
+      this.visibilityObserver = null;
+    }
+    this.visibleElements.clear();
+    this.conditionTargets.clear();
+    this.watchedElements.clear();
+    this.mediaQueries.forEach(mediaQuery => {
+      if (typeof mediaQuery.removeEventListener === 'function') {
+        mediaQuery.removeEventListener('change', this.handleEvent);
+      } else if (typeof mediaQuery.removeListener === 'function') {
+        mediaQuery.removeListener(this.handleEvent);
+      }
+    });
+    this.mediaQueries = [];
+    document.removeEventListener('transitionend', this.handleConditionTransition, true);
+    document.removeEventListener('animationend', this.handleConditionTransition, true);
+  }
+
+  refresh() {
+    if (!this.pageWrapper) return;
+    this.removeToggleEventListeners();
+    this.disconnectMutations();
+    this.queryConditionElements();
+    this.setupToggleEventListeners();
+    this.observeMutations();
+    this.targetScroll = this.clampScroll(this.targetScroll);
+    this.checkConditions();
+    this.emit('refresh');
+  }
+
+  pause() {
+    if (this.isPaused) return;
+    this.isPaused = true;
+    this.isTouching = false;
+    this.cancelScheduledCheck();
+    this.rejectScroll('ScrollManager: Scrolling was paused.');
+    this.stopAnimation();
+    this.emit('pause');
+  }
+
+  resume() {
+    if (!this.isPaused) return;
+    this.isPaused = false;
+    if (this.pageWrapper) {
+      this.currentScroll = this.pageWrapper.scrollTop;
+      this.targetScroll = this.currentScroll;
+      this.checkConditions();
+    }
+    this.emit('resume');
+  }
+
+  teardown() {
+    if (!this.pageWrapper) return;
+    this.rejectScroll('ScrollManager: Scrolling was stopped because the instance was disabled or destroyed.');
+    this.stopAnimation();
+    this.cancelScheduledCheck();
+    if (this.cancelPublish) {
+      this.cancelPublish();
+      this.cancelPublish = null;
+    }
+    this.lastPublished = null;
+    this.isScrollingEnabled = true;
+    this.isConditionLocked = false;
+    this.disconnectMutations();
+    this.removeToggleEventListeners();
+    window.removeEventListener('wheel', this.handleWheel, { passive: false });
+    this.pageWrapper.removeEventListener('touchstart', this.handleTouchStart, { passive: false });
+    this.pageWrapper.removeEventListener('touchmove', this.handleTouchMove, { passive: false });
+    this.pageWrapper.removeEventListener('touchend', this.handleTouchEnd, { passive: false });
+    this.pageWrapper.removeEventListener('scroll', this.handleNativeScroll);
+    document.removeEventListener('touchmove', this.handleLockedTouchMove, { passive: false });
+    document.removeEventListener('keydown', this.handleKeyDown);
+    document.removeEventListener('click', this.handleAnchorClick);
+    document.removeEventListener('focusin', this.handleFocusIn);
+    window.removeEventListener('hashchange', this.handleHashChange);
+    document.body.style.overflow = this.originalStyles.bodyOverflow;
+    if (this.originalStyles.pageWrapper === null) {
+      this.pageWrapper.removeAttribute('style');
+    } else {
+      this.pageWrapper.setAttribute('style', this.originalStyles.pageWrapper);
+    }
+    this.pageWrapper = null;
+  }
+
+  destroy() {
+    document.removeEventListener('DOMContentLoaded', this.domContentLoadedHandler);
+    this.motionUnsubscribe();
+    this.unwatchBreakpoints();
+    if (this.pageWrapper) {
+      this.teardown();
     }
+    // Also published when the manager was never set up, so connections and debug registrations are released.
+    this.emit('destroy');
   }
-  
-  global.ScrollManager = ScrollManager;
-})(window);
+}
+
+ScrollManager.schema = {
+  scrollSpeed: { type: 'number', min: 1 },
+  smoothScrollFactor: { type: 'number', min: 0, max: 100 },
+  pageWrapper: { type: 'string' },
+  easingMode: { type: 'string', enum: ['ease', 'ease-in', 'ease-out', 'ease-in-out'] },
+  checkEvent: { type: 'string', enum: ['scroll', 'click', 'hover'] },
+  hoverTriggers: { type: 'array', items: 'string' },
+  triggerElements: { type: 'array', items: 'string' },
+  conditionElements: { type: 'array', items: 'string' },
+  conditionArray: { type: 'array', items: 'object', check: checkConditionArray },
+  maxCheckDuration: { type: 'number', min: 0 },
+  keyboard: { type: 'boolean' },
+  anchorLinks: { type: 'boolean' },
+  anchorOffset: { type: ['number', 'string'] },
+  updateHash: { type: 'boolean' },
+  focusScroll: { type: 'boolean' },
+  scrollRegions: { type: 'array', items: 'string' },
+  physics: { type: ['boolean', 'string'], enum: [true, false, 'lerp', 'spring'] },
+  lerp: { type: 'number', min: 0.01, max: 1 },
+  stiffness: { type: 'number', min: 1 },
+  damping: { type: 'number', min: 0 },
+  wheelMultiplier: { type: 'number', min: 0 },
+  touchMultiplier: { type: 'number', min: 0 },
+  friction: { type: 'number', min: 0, max: 0.99 },
+  bounce: { type: 'boolean' },
+  enabled: { type: 'boolean' },
+  reducedMotion: { type: ['boolean', 'string'], enum: ['auto', true, false] }
+};
+register('ScrollManager', ScrollManager);
+
+export { ScrollManager };
@@ -15,6 +15,23 @@
  * - characterHold (number): Time in ms between typing each character (default: 200).
  * - deleteHold (number): Time in ms between deleting each character (default: 100).
  * - caretClass (string): Additional class(es) for the caret element (optional).
+ * - reducedMotion (boolean|string): 'auto' follows the WFLib motion policy, true/false force or ignore the
+ *   reduced-motion fallback (default: 'auto'). With reduced motion one text is shown statically.
+ * - enabled (boolean): If false, no heading is rendered (default: true).
+ *
+ * Every option also accepts a breakpoint map (see core/breakpoints.js), e.g.
+ * hTag: { desktop: 'h1', mobilePortrait: 'h2' }. Typing restarts when the breakpoint changes the options.
+ *
+ * Lifecycle:
+ * - destroy(): Stops typing and removes the heading and caret style from the DOM.
+ * - refresh(): Rebuilds the elements inside the (re-queried) target parent and restarts typing.
+ * - pause() / resume(): Halts and continues typing at the current character.
+ *
+ * Events (published as "typewriter:<event>" on the WFLib event bus):
+ * - start: A new text starts being typed ({ text }).
+ * - complete: A text has been typed completely ({ text }).
+ * - disable, enable: `enabled` changed with the breakpoint.
+ * - init, pause, resume, refresh, destroy
  *
  * Example instantiation (asynchron sicher):
  * window.addEventListener('DOMContentLoaded', () => {
@@ -36,11 +53,39 @@
  * @version 1.0.0
  * @license MIT
  */
+import * as eventBus from './core/eventBus.js';
+import { register } from './core/registry.js';
+import { isReducedMotion, onMotionChange } from './core/motion.js';
+import { validate, reportDiagnostic } from './core/validator.js';
+import { resolveOptions, watchBreakpoints, isEnabled } from './core/breakpoints.js';
+
 class Typewriter {
   constructor(options) {
     Typewriter.instanceCounter = (Typewriter.instanceCounter || 0) + 1;
     this.instanceId = Typewriter.instanceCounter;
+    this.isValid = validate('Typewriter', options, Typewriter.schema).valid;
+    this._applyOptions(resolveOptions(options || {}));
+    this.unwatchBreakpoints = watchBreakpoints(options, resolved => this._applyBreakpoint(resolved));
+  
+    this.loopNum = 0;
+    this.isDeleting = false;
+    this.txt = '';
+    this.currentText = '';
+    this.previousTextIndex = -1;
+    this.timeoutId = null;
+    this.isPaused = false;
+    this.isReducedMotion = isReducedMotion(this.options.reducedMotion);
+    this.motionUnsubscribe = onMotionChange(() => this._applyMotionPreference());
+  
+    this._init = this._init.bind(this);
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', this._init);
+    } else {
+      this._init();
+    }
+  }
   
+  _applyOptions(options) {
     const {
       hTag,
       addClass,
@@ -52,42 +97,40 @@ class Typewriter {
       startHold = 500,
       characterHold = 200,
       deleteHold = 100,
-      caretClass
+      caretClass,
+      reducedMotion = 'auto'
     } = options;
   
-    this.options = { hTag, addClass, textArray, targetParent, randomText, caretFrequency, endHold, startHold, characterHold, deleteHold, caretClass };
-  
-    this.loopNum = 0;
-    this.isDeleting = false;
-    this.txt = '';
-    this.currentText = '';
-    this.previousTextIndex = -1;
+    this.options = { hTag, addClass, textArray, targetParent, randomText, caretFrequency, endHold, startHold, characterHold, deleteHold, caretClass, reducedMotion, enabled: isEnabled(options) };
+  }
   
-    this._init = this._init.bind(this);
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', this._init);
-    } else {
-      this._init();
+  _applyBreakpoint(options) {
+    const wasEnabled = this.options.enabled;
+    this._applyOptions(options);
+    this._applyMotionPreference();
+    if (document.readyState === 'loading') return;
+    if (wasEnabled && !this.options.enabled) {
+      this._teardown();
+      this._emit('disable');
+    } else if (this.options.enabled) {
+      this.refresh();
+      if (!wasEnabled) {
+        this._emit('enable');
+      }
     }
   }
   
   _init() {
-    const { hTag, addClass, textArray, targetParent, randomText, caretFrequency, endHold, startHold, characterHold, deleteHold, caretClass } = this.options;
-    if (!addClass) {
-      throw new Error("Typewriter Error: 'addClass' is required.");
-    }
-    if (!targetParent) {
-      throw new Error("Typewriter Error: 'targetParent' is required.");
-    }
-    if (!textArray || !Array.isArray(textArray) || textArray.length === 0) {
-      throw new Error("Typewriter Error: 'textArray' must be a non-empty array.");
-    }
+    const { hTag, addClass, textArray, targetParent, randomText, caretFrequency, endHold, startHold, characterHold, deleteHold, caretClass, enabled } = this.options;
+    // Invalid options are listed in the diagnostics report, the typewriter is not started.
+    if (!this.isValid || !enabled) return;
     this.hTag = /^h[1-6]$/.test(hTag) ? hTag : 'h1';
     this.addClass = addClass;
     this.textArray = textArray.slice();
     this.targetParent = document.getElementById(targetParent);
     if (!this.targetParent) {
-      throw new Error(`Typewriter Error: No element found with id '${targetParent}'.`);
+      reportDiagnostic('Typewriter', 'error', 'targetParent', `No element found with id '${targetParent}'.`);
+      return;
     }
     this.randomText = randomText;
     this.caretFrequency = caretFrequency;
@@ -98,7 +141,10 @@ class Typewriter {
     this.caretClass = caretClass;
   
     this._createElements();
-    this.tick();
+    this._emit('init');
+    if (!this.isPaused) {
+      this.tick();
+    }
   }
   
   _createElements() {
@@ -129,6 +175,53 @@ class Typewriter {
       }
     `;
     document.head.appendChild(style);
+    this.styleElement = style;
+  }
+  
+  _emit(type, detail = {}) {
+    eventBus.emit(`typewriter:${type}`, { instance: this, ...detail });
+  }
+  
+  _showStaticText() {
+    clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+    if (!this.currentText) {
+      this.currentText = this._getNextText();
+      this._emit('start', { text: this.currentText });
+    }
+    this.isDeleting = false;
+    this.txt = this.currentText;
+    this.wrapSpan.textContent = this.txt;
+    this.wrapSpan.style.animation = 'none';
+    this._emit('complete', { text: this.currentText });
+  }
+  
+  _applyMotionPreference() {
+    const reduced = isReducedMotion(this.options.reducedMotion);
+    if (reduced === this.isReducedMotion) return;
+    this.isReducedMotion = reduced;
+    if (!this.headingElement) return;
+    if (reduced) {
+      this._showStaticText();
+      return;
+    }
+    this.wrapSpan.style.animation = '';
+    if (!this.isPaused) {
+      this.tick();
+    }
+  }
+  
+  _teardown() {
+    clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+    if (this.headingElement) {
+      this.headingElement.remove();
+      this.headingElement = null;
+    }
+    if (this.styleElement) {
+      this.styleElement.remove();
+      this.styleElement = null;
+    }
   }
   
   _getNextText() {
@@ -147,8 +240,13 @@ class Typewriter {
   }
   
   tick() {
+    if (this.isReducedMotion) {
+      this._showStaticText();
+      return;
+    }
     if (!this.currentText) {
       this.currentText = this._getNextText();
+      this._emit('start', { text: this.currentText });
     }
     if (this.isDeleting) {
       this.txt = this.currentText.substring(0, this.txt.length - 1);
@@ -161,6 +259,7 @@ class Typewriter {
     if (!this.isDeleting && this.txt === this.currentText) {
       delta = this.endHold;
       this.isDeleting = true;
+      this._emit('complete', { text: this.currentText });
     } else if (this.isDeleting && this.txt === '') {
       this.isDeleting = false;
       this.loopNum++;
@@ -168,7 +267,60 @@ class Typewriter {
       delta = this.startHold;
     }
   
-    setTimeout(() => this.tick(), delta);
+    this.timeoutId = setTimeout(() => this.tick(), delta);
+  }
+  
+  refresh() {
+    this._teardown();
+    this.loopNum = 0;
+    this.isDeleting = false;
+    this.txt = '';
+    this.currentText = '';
+    this._init();
+    this._emit('refresh');
+  }
+  
+  pause() {
+    if (this.isPaused) return;
+    this.isPaused = true;
+    clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+    this._emit('pause');
+  }
+  
+  resume() {
+    if (!this.isPaused) return;
+    this.isPaused = false;
+    this._emit('resume');
+    if (this.headingElement) {
+      this.tick();
+    }
+  }
+  
+  destroy() {
+    document.removeEventListener('DOMContentLoaded', this._init);
+    this.motionUnsubscribe();
+    this.unwatchBreakpoints();
+    this._teardown();
+    this._emit('destroy');
   }
 }
-window.Typewriter = Typewriter;
+
+Typewriter.schema = {
+  hTag: { type: 'string', enum: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'] },
+  addClass: { type: 'string', required: true },
+  textArray: { type: 'array', items: 'string', minItems: 1, required: true },
+  targetParent: { type: 'string', required: true },
+  randomText: { type: 'boolean' },
+  caretFrequency: { type: 'number', min: 0 },
+  endHold: { type: 'number', min: 0 },
+  startHold: { type: 'number', min: 0 },
+  characterHold: { type: 'number', min: 0 },
+  deleteHold: { type: 'number', min: 0 },
+  caretClass: { type: 'string' },
+  enabled: { type: 'boolean' },
+  reducedMotion: { type: ['boolean', 'string'], enum: ['auto', true, false] }
+};
+register('Typewriter', Typewriter);
+
+export { Typewriter };
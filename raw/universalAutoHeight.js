@@ -15,6 +15,23 @@
  * - easingMode (string): CSS easing function (default: 'ease').
  * - fontSizeMultiplier (number): Multiplier for collapsed height (default: 1).
  * - expandedRotation (number): Rotation angle in degrees when expanded (default: 90).
+ * - observeDOM (boolean): If true, triggers and targets added to the DOM later are bound and removed ones are
+ *   cleaned up automatically (default: false).
+ * - enabled (boolean): If false, the configuration is skipped and its targets keep their natural height
+ *   (default: true).
+ *
+ * Every option also accepts a breakpoint map (see core/breakpoints.js), e.g.
+ * enabled: { desktop: false, mobileLandscape: true } for an accordion on phones only. All items are
+ * re-initialized (collapsed unless isOpen) when the breakpoint changes the options.
+ *
+ * Lifecycle:
+ * - destroy(): Removes all listeners and restores the original inline styles of targets and rotate elements.
+ * - refresh(): Binds newly added triggers and re-measures the heights of all targets, keeping open items open.
+ * - pause() / resume(): Ignores and re-accepts toggles and resize handling.
+ *
+ * Events (published as "toggle:<event>" on the WFLib event bus):
+ * - open, close: A target was expanded or collapsed ({ target }).
+ * - init, pause, resume, refresh, destroy
  *
  * Example instantiation (asynchron sicher):
  * window.addEventListener('DOMContentLoaded', () => {
@@ -38,29 +55,58 @@
  * @version 1.0.0
  * @license MIT
  */
+import * as eventBus from './core/eventBus.js';
+import { register } from './core/registry.js';
+import { observeDOM } from './core/domObserver.js';
+import * as scheduler from './core/scheduler.js';
+import { validate } from './core/validator.js';
+import { resolveOptions, watchBreakpoints, isEnabled } from './core/breakpoints.js';
+
 class ToggleHeight {
   constructor(configs) {
     if (!Array.isArray(configs)) {
       configs = [configs];
     }
-    this.configs = configs.map(config => ({
+    configs.forEach((config, index) => validate('ToggleHeight', config, ToggleHeight.schema, `configs[${index}]`));
+    this.configs = this.buildConfigs(resolveOptions(configs));
+    this.unwatchBreakpoints = watchBreakpoints(configs, resolved => this.applyBreakpoint(resolved));
+  
+    this.originalStyles = new Map();
+    this.isPaused = false;
+    this.cancelResizeWrite = null;
+    this.domContentLoadedHandler = this.domContentLoadedHandler.bind(this);
+    this.onWindowResize = this.onWindowResize.bind(this);
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', this.domContentLoadedHandler);
+    } else {
+      this.domContentLoadedHandler();
+    }
+  }
+  
+  buildConfigs(configs) {
+    return configs.filter(isEnabled).map(config => ({
       ...config,
       parents: [],
       rotateElements: [],
       triggers: [],
       targets: [],
+      listeners: [],
       touchStartY: 0,
       currentOpenIndex: null,
       fontSizeMultiplier: config.fontSizeMultiplier !== undefined ? config.fontSizeMultiplier : 1,
       expandedRotation: config.expandedRotation !== undefined ? config.expandedRotation : 90
     }));
+  }
   
-    this.domContentLoadedHandler = this.domContentLoadedHandler.bind(this);
+  applyBreakpoint(configs) {
     if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', this.domContentLoadedHandler);
-    } else {
-      this.domContentLoadedHandler();
+      this.configs = this.buildConfigs(configs);
+      return;
     }
+    this.teardown();
+    this.configs = this.buildConfigs(configs);
+    this.initConfigs();
+    this.emit('refresh');
   }
   
   getRootFontSize() {
@@ -75,10 +121,19 @@ class ToggleHeight {
   }
   
   domContentLoadedHandler() {
-    this.configs.forEach(config => this.initConfig(config));
+    this.initConfigs();
     document.removeEventListener('DOMContentLoaded', this.domContentLoadedHandler);
-    this.onWindowResize = this.onWindowResize.bind(this);
-    window.addEventListener('resize', this.onWindowResize);
+    this.unsubscribeResize = scheduler.onResize(this.onWindowResize);
+    this.emit('init');
+  }
+  
+  initConfigs() {
+    this.configs.forEach(config => {
+      this.initConfig(config);
+      if (config.observeDOM) {
+        this.observeConfig(config);
+      }
+    });
   }
   
   initConfig(config) {
@@ -95,10 +150,8 @@ class ToggleHeight {
       expandedRotation = 90
     } = config;
   
-    if (!triggerSelector || !targetSelector) {
-      console.error('triggerSelector and targetSelector are required in ToggleHeightConfig.');
-      return;
-    }
+    // Missing selectors are reported by the validator.
+    if (!triggerSelector || !targetSelector) return;
   
     if (parentSelector) {
       config.parents = document.querySelectorAll(parentSelector);
@@ -111,6 +164,9 @@ class ToggleHeight {
     config.easingMode = easingMode;
     config.fontSizeMultiplier = fontSizeMultiplier;
     config.expandedRotation = expandedRotation;
+    config.triggers = [];
+    config.targets = [];
+    config.rotateElements = [];
   
     config.parents.forEach(parent => {
       const triggersInParent = parent.querySelectorAll(triggerSelector);
@@ -124,22 +180,26 @@ class ToggleHeight {
     config.triggers.forEach((trigger, index) => {
       const target = config.targets[index] || trigger;
       const rotateElement = config.rotateElements[index] || null;
-      this.initElement(target, config);
   
-      if (isOpen) {
-        if (rotateElement) {
-          this.rotate(rotateElement, config.expandedRotation, config.duration, config.easingMode);
+      if (!this.originalStyles.has(target)) {
+        this.initElement(target, config);
+        if (isOpen) {
+          if (rotateElement) {
+            this.rotate(rotateElement, config.expandedRotation, config.duration, config.easingMode);
+          }
+          config.currentOpenIndex = index;
         }
+      } else if (parseFloat(target.style.height) > parseFloat(this.getCollapsedHeight(config))) {
         config.currentOpenIndex = index;
       }
   
-      trigger.addEventListener('click', () => this.handleToggle(index, target, rotateElement, config));
+      this.addListener(config, trigger, 'click', () => this.handleToggle(index, target, rotateElement, config));
   
-      trigger.addEventListener('touchstart', (e) => {
+      this.addListener(config, trigger, 'touchstart', (e) => {
         config.touchStartY = e.touches[0].clientY;
       });
   
-      trigger.addEventListener('touchend', (e) => {
+      this.addListener(config, trigger, 'touchend', (e) => {
         const touchEndY = e.changedTouches[0].clientY;
         if (Math.abs(touchEndY - config.touchStartY) < 10) {
           e.preventDefault();
@@ -149,7 +209,42 @@ class ToggleHeight {
     });
   }
   
+  observeConfig(config) {
+    if (!config.triggerSelector || !config.targetSelector) return;
+    const selector = [config.triggerSelector, config.targetSelector, config.rotateSelector].filter(Boolean).join(', ');
+    config.unobserve = observeDOM(selector, {
+      added: () => this.rebindConfig(config),
+      removed: elements => {
+        elements.forEach(element => this.originalStyles.delete(element));
+        this.rebindConfig(config);
+      }
+    });
+  }
+  
+  rebindConfig(config) {
+    this.removeListeners(config);
+    config.currentOpenIndex = null;
+    this.initConfig(config);
+  }
+  
+  addListener(config, element, eventType, listener) {
+    element.addEventListener(eventType, listener);
+    config.listeners.push({ element, eventType, listener });
+  }
+  
+  removeListeners(config) {
+    config.listeners.forEach(({ element, eventType, listener }) => element.removeEventListener(eventType, listener));
+    config.listeners = [];
+  }
+  
+  saveOriginalStyle(element) {
+    if (!this.originalStyles.has(element)) {
+      this.originalStyles.set(element, element.getAttribute('style'));
+    }
+  }
+  
   initElement(element, config) {
+    this.saveOriginalStyle(element);
     element.style.overflow = 'hidden';
     element.style.transition = `height ${config.duration}ms ${config.easingMode}`;
     if (config.isOpen) {
@@ -160,6 +255,7 @@ class ToggleHeight {
   }
   
   handleToggle(index, target, rotateElement, config) {
+    if (this.isPaused) return;
     const collapsedHeight = parseFloat(this.getCollapsedHeight(config));
     const currentHeight = parseFloat(target.style.height);
     const isCollapsed = currentHeight <= collapsedHeight;
@@ -191,6 +287,7 @@ class ToggleHeight {
     if (rotateElement) {
       this.rotate(rotateElement, config.expandedRotation, config.duration, config.easingMode);
     }
+    this.emit('open', { target });
   }
   
   collapse(target, rotateElement, config) {
@@ -199,33 +296,112 @@ class ToggleHeight {
     if (rotateElement) {
       this.rotate(rotateElement, 0, config.duration, config.easingMode);
     }
+    this.emit('close', { target });
   }
   
   rotate(element, degrees, duration, easingMode) {
+    this.saveOriginalStyle(element);
     element.style.transition = `transform ${duration}ms ${easingMode}`;
     element.style.transform = `rotate(${degrees}deg)`;
   }
   
   onWindowResize() {
+    if (this.isPaused) return;
+    const updates = [];
     this.configs.forEach(config => {
       const newCollapsedHeight = this.getCollapsedHeight(config);
-      config.targets.forEach((target, index) => {
-        const rotateElement = config.rotateElements[index] || null;
+      config.targets.forEach(target => {
         const isOpen = parseFloat(target.style.height) > parseFloat(newCollapsedHeight);
-        if (isOpen) {
-          const originalTransition = target.style.transition;
-          target.style.transition = 'none';
-          target.style.height = `${target.scrollHeight}px`;
-          target.offsetHeight;
-          target.style.transition = originalTransition;
-        } else {
-          target.style.transition = "height 0ms";
-          target.style.height = newCollapsedHeight;
-          target.offsetHeight;
-          target.style.transition = `height ${config.duration}ms ${config.easingMode}`;
-        }
+        updates.push({ target, config, height: isOpen ? `${target.scrollHeight}px` : newCollapsedHeight });
       });
     });
+    if (this.cancelResizeWrite) {
+      this.cancelResizeWrite();
+    }
+    this.cancelResizeWrite = scheduler.mutate(() => {
+      this.cancelResizeWrite = null;
+      updates.forEach(({ target, height }) => {
+        target.style.transition = 'none';
+        target.style.height = height;
+      });
+      // A single reflow applies all new heights without transition.
+      document.body.offsetHeight;
+      updates.forEach(({ target, config }) => {
+        target.style.transition = `height ${config.duration}ms ${config.easingMode}`;
+      });
+    });
+  }
+  
+  emit(type, detail = {}) {
+    eventBus.emit(`toggle:${type}`, { instance: this, ...detail });
+  }
+  
+  refresh() {
+    this.configs.forEach(config => this.rebindConfig(config));
+    this.onWindowResize();
+    this.emit('refresh');
+  }
+  
+  pause() {
+    this.isPaused = true;
+    this.emit('pause');
+  }
+  
+  resume() {
+    if (!this.isPaused) return;
+    this.isPaused = false;
+    this.onWindowResize();
+    this.emit('resume');
+  }
+  
+  teardown() {
+    if (this.cancelResizeWrite) {
+      this.cancelResizeWrite();
+      this.cancelResizeWrite = null;
+    }
+    this.configs.forEach(config => {
+      this.removeListeners(config);
+      config.currentOpenIndex = null;
+      if (config.unobserve) {
+        config.unobserve();
+        config.unobserve = null;
+      }
+    });
+    this.originalStyles.forEach((style, element) => {
+      if (style === null) {
+        element.removeAttribute('style');
+      } else {
+        element.setAttribute('style', style);
+      }
+    });
+    this.originalStyles.clear();
+  }
+  
+  destroy() {
+    document.removeEventListener('DOMContentLoaded', this.domContentLoadedHandler);
+    if (this.unsubscribeResize) {
+      this.unsubscribeResize();
+    }
+    this.unwatchBreakpoints();
+    this.teardown();
+    this.emit('destroy');
   }
 }
-window.ToggleHeight = ToggleHeight;
+
+ToggleHeight.schema = {
+  parentSelector: { type: 'string' },
+  triggerSelector: { type: 'string', required: true },
+  targetSelector: { type: 'string', required: true },
+  rotateSelector: { type: 'string' },
+  isOpen: { type: 'boolean' },
+  duration: { type: 'number', min: 0 },
+  closeOthers: { type: 'boolean' },
+  easingMode: { type: 'string' },
+  fontSizeMultiplier: { type: 'number', min: 0 },
+  expandedRotation: { type: 'number' },
+  observeDOM: { type: 'boolean' },
+  enabled: { type: 'boolean' }
+};
+register('ToggleHeight', ToggleHeight);
+
+export { ToggleHeight };
@@ -0,0 +1,18 @@
+import terser from '@rollup/plugin-terser';
+
+const banner = '/*! Webflow Front-End Library | "THE BEER-WARE LICENSE" (Revision 42) */';
+
+export default [
+  {
+    input: 'raw/index.js',
+    output: [
+      { file: 'dist/wflib.esm.js', format: 'es', banner },
+      { file: 'dist/wflib.umd.js', format: 'umd', name: 'WFLib', exports: 'named', banner },
+      { file: 'dist/wflib.umd.min.js', format: 'umd', name: 'WFLib', exports: 'named', banner, plugins: [terser()] }
+    ]
+  },
+  {
+    input: 'raw/legacy.js',
+    output: { file: 'dist/wflib.legacy.umd.min.js', format: 'umd', name: 'WFLib', exports: 'named', banner, plugins: [terser()] }
+  }
+];